@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+// ============================================================================
+// copilot-metrics Command-Line Tool
+// ============================================================================
+// Fetches, summarizes and exports Copilot metrics without running the web app,
+// e.g. from CI jobs or cron. It uses the server's GitHub client (caching, retries,
+// pagination, GitHub App auth) and the dashboard's shared transforms, so the numbers
+// match /api/copilot-metrics, /api/summary and /api/export.
+//
+//   copilot-metrics fetch    [options]   raw metrics as JSON
+//   copilot-metrics summary  [options]   headline totals and a grouped table
+//   copilot-metrics export   [options]   one dashboard dataset as CSV, JSON or XLSX
+//
+// Credentials come from the same environment variables as the server (GITHUB_TOKEN or
+// GITHUB_APP_ID..., GITHUB_ORG / GITHUB_SCOPE / GITHUB_ENTERPRISE / GITHUB_TEAM, GITHUB_API_URL),
+// or from a JSON config file (--config or COPILOT_METRICS_CONFIG) with the fields of a
+// connection profile: { token | appId, installationId, privateKey | privateKeyFile,
+// scope, org, enterprise, team, apiBaseUrl }.
+// Output goes to stdout unless --output is given; errors and data-quality warnings go to stderr.
+// Exit codes: 0 success, 1 GitHub or file error, 2 invalid arguments or configuration.
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { GitHubApiError, githubGet } = require('../lib/githubClient');
+const { readHistory } = require('../lib/historyStore');
+const { parseDateRange, parseSource, parseMetricsQuery } = require('../lib/queryParams');
+const { parseExportQuery, buildExportRows, renderExport } = require('../lib/exporter');
+const { validateMetrics } = require('../lib/metricsSchema');
+const { parseProfileInput, hasCredentials, profileInputFromEnv } = require('../lib/profileStore');
+const { isTargetConfigured, metricsPath, historyKey, describeTarget } = require('../lib/metricsScope');
+const { filterMetricsByDate, summarizeMetrics, GROUP_BY_OPTIONS, groupMetrics } = require('../client/src/shared/metrics');
+
+const COMMANDS = ['fetch', 'summary', 'export'];
+
+const USAGE = `Usage: copilot-metrics <command> [options]
+
+Commands:
+  fetch                 Print the raw Copilot metrics (GitHub API JSON)
+  summary               Print headline totals and one row per --group-by value
+  export                Write one dashboard dataset as CSV, JSON or XLSX
+
+Options:
+  --config <file>       JSON config file with credentials and target (default: environment)
+  --team <slug>         Metrics of one team instead of the whole org/enterprise
+  --since <YYYY-MM-DD>  First day to include
+  --until <YYYY-MM-DD>  Last day to include
+  --source <source>     live (GitHub, default) or history (the server's DATA_DIR store)
+  --group-by <group>    summary: ${GROUP_BY_OPTIONS.join(', ')} (default day)
+  --dataset <dataset>   export: daily (default), languages, chat, engagement,
+                        pull_requests, editors, models or raw
+  --format <format>     export: csv (default), json or xlsx
+  --json                summary: print JSON (same shape as /api/summary) instead of tables
+  -o, --output <file>   Write to a file instead of stdout (required for xlsx)
+  -h, --help            Show this help
+`;
+
+const OPTIONS = {
+    config: { type: 'string' },
+    team: { type: 'string' },
+    since: { type: 'string' },
+    until: { type: 'string' },
+    source: { type: 'string' },
+    'group-by': { type: 'string' },
+    dataset: { type: 'string' },
+    format: { type: 'string' },
+    json: { type: 'boolean' },
+    output: { type: 'string', short: 'o' },
+    help: { type: 'boolean', short: 'h' },
+};
+
+// Invalid arguments or configuration: reported with exit code 2
+class UsageError extends Error {}
+
+// ----------------------------------------------------------------------------
+// STEP 1: Load the Connection Profile
+// ----------------------------------------------------------------------------
+// A config file (relative paths resolve against the current directory) or the environment.
+// Returns a profile with credentials and a configured target; throws UsageError otherwise.
+const readConfigFile = (file) => {
+    let input;
+    try {
+        input = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new UsageError(`Could not read config file ${file}: ${error.message}`);
+    }
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new UsageError(`Config file ${file} must contain a JSON object.`);
+    }
+    if (!input.privateKey && input.privateKeyFile) {
+        try {
+            input.privateKey = fs.readFileSync(path.resolve(path.dirname(file), input.privateKeyFile), 'utf8');
+        } catch (error) {
+            throw new UsageError(`Could not read privateKeyFile: ${error.message}`);
+        }
+    }
+    return parseProfileInput({
+        name: 'CLI',
+        authType: input.appId ? 'app' : 'token',
+        ...input,
+    });
+};
+
+const loadProfile = (configFile) => {
+    const parsed = configFile ? readConfigFile(configFile) : profileInputFromEnv();
+    if (!parsed) {
+        throw new UsageError('No credentials: set GITHUB_TOKEN (or GITHUB_APP_ID...) and GITHUB_ORG, or pass --config <file>.');
+    }
+    if (parsed.error) {
+        throw new UsageError(parsed.error);
+    }
+    if (!hasCredentials(parsed.fields) || !isTargetConfigured(parsed.fields)) {
+        throw new UsageError('The configuration needs credentials and an organization or enterprise.');
+    }
+    return { id: 'cli', ...parsed.fields };
+};
+
+// ----------------------------------------------------------------------------
+// STEP 2: Load Metrics
+// ----------------------------------------------------------------------------
+// Same request as /api/copilot-metrics (live) or the server's stored history,
+// narrowed to the since/until window
+const readMetrics = async (profile, { source, team, since, until }) => {
+    if (source === 'history') {
+        return readHistory(historyKey(profile, team), { since, until });
+    }
+    const { params } = parseMetricsQuery({ since, until });
+    const { data } = await githubGet(profile, metricsPath(profile, team), { params });
+    return filterMetricsByDate(data, { since, until });
+};
+
+// Resolves with { metrics, schemaVersion, warnings }; the warnings are also printed to stderr
+const loadMetrics = async (profile, query) => {
+    const metrics = await readMetrics(profile, query);
+    const { schemaVersion, warnings } = validateMetrics(metrics, query);
+    warnings.forEach(warning => console.error(`copilot-metrics: warning: ${warning.message}${warning.items.length ? ` (${warning.items.join(', ')})` : ''}`));
+    return { metrics, schemaVersion, warnings };
+};
+
+// ----------------------------------------------------------------------------
+// STEP 3: Output Helpers
+// ----------------------------------------------------------------------------
+const writeOutput = (body, output) => {
+    if (output) {
+        fs.writeFileSync(output, body);
+        console.error(`Wrote ${output}`);
+    } else {
+        process.stdout.write(body);
+    }
+};
+
+const formatCell = (value) => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number' && !Number.isInteger(value)) return value.toFixed(1);
+    if (Array.isArray(value)) return `${value.length}`;
+    return String(value);
+};
+
+// Plain-text table: one column per key of the rows, numbers right-aligned
+const formatTable = (rows) => {
+    if (rows.length === 0) return '(no data)\n';
+    const columns = [];
+    rows.forEach(row => Object.keys(row).forEach(key => {
+        if (!columns.includes(key)) columns.push(key);
+    }));
+    const cells = rows.map(row => columns.map(column => formatCell(row[column])));
+    const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(line => line[i].length)));
+    const numeric = columns.map(column => rows.every(row => row[column] === undefined || typeof row[column] === 'number'));
+    const renderLine = (values) => values
+        .map((value, i) => (numeric[i] ? value.padStart(widths[i]) : value.padEnd(widths[i])))
+        .join('  ')
+        .trimEnd();
+    return [
+        renderLine(columns),
+        renderLine(widths.map(width => '-'.repeat(width))),
+        ...cells.map(renderLine),
+    ].join('\n') + '\n';
+};
+
+// ----------------------------------------------------------------------------
+// STEP 4: Commands
+// ----------------------------------------------------------------------------
+const runFetch = async (profile, query, options) => {
+    const { metrics } = await loadMetrics(profile, query);
+    writeOutput(`${JSON.stringify(metrics, null, 2)}\n`, options.output);
+};
+
+const runSummary = async (profile, query, options) => {
+    const groupBy = options['group-by'] || 'day';
+    if (!GROUP_BY_OPTIONS.includes(groupBy)) {
+        throw new UsageError(`--group-by must be one of: ${GROUP_BY_OPTIONS.join(', ')}.`);
+    }
+
+    const { metrics, schemaVersion, warnings } = await loadMetrics(profile, query);
+    const summary = {
+        scope: describeTarget(profile),
+        team: query.team,
+        source: query.source,
+        groupBy,
+        totals: summarizeMetrics(metrics),
+        groups: groupMetrics(metrics, groupBy),
+        schemaVersion,
+        warnings,
+    };
+    if (options.json) {
+        return writeOutput(`${JSON.stringify(summary, null, 2)}\n`, options.output);
+    }
+
+    const totals = Object.keys(summary.totals).map(metric => ({ metric, value: summary.totals[metric] }));
+    writeOutput([
+        `${summary.scope}${query.team ? ` / team ${query.team}` : ''} (${query.source})`,
+        '',
+        formatTable(totals),
+        `By ${groupBy}:`,
+        formatTable(summary.groups),
+    ].join('\n'), options.output);
+};
+
+const runExport = async (profile, query, options) => {
+    const { dataset, format, error } = parseExportQuery({ dataset: options.dataset, format: options.format, source: query.source });
+    if (error) {
+        throw new UsageError(error.replace(/`(\w+)`/, '--$1'));
+    }
+    if (format === 'xlsx' && !options.output) {
+        throw new UsageError('--format xlsx needs --output <file>.');
+    }
+
+    const { metrics } = await loadMetrics(profile, query);
+    const { body } = await renderExport(buildExportRows(metrics, dataset), dataset, format);
+    writeOutput(body, options.output);
+};
+
+const RUNNERS = { fetch: runFetch, summary: runSummary, export: runExport };
+
+// ----------------------------------------------------------------------------
+// STEP 5: Parse Arguments and Run
+// ----------------------------------------------------------------------------
+const main = async (argv) => {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    const { values: options, positionals } = parsed;
+    if (options.help || positionals.length === 0) {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    const command = positionals[0];
+    if (!COMMANDS.includes(command) || positionals.length > 1) {
+        throw new UsageError(`Unknown command "${positionals.join(' ')}". Expected one of: ${COMMANDS.join(', ')}.`);
+    }
+
+    const { since, until, error: rangeError } = parseDateRange(options);
+    if (rangeError) {
+        throw new UsageError(rangeError.replace(/`(\w+)`/, '--$1'));
+    }
+    const { source, error: sourceError } = parseSource(options.source);
+    if (sourceError) {
+        throw new UsageError(sourceError.replace(/`(\w+)`/, '--$1'));
+    }
+
+    const profile = loadProfile(options.config || process.env.COPILOT_METRICS_CONFIG);
+    const query = { source, team: options.team || null, since, until };
+    await RUNNERS[command](profile, query, options);
+};
+
+main(process.argv.slice(2)).catch(error => {
+    if (error instanceof UsageError) {
+        console.error(`copilot-metrics: ${error.message}\nRun "copilot-metrics --help" for usage.`);
+        process.exitCode = 2;
+    } else if (error instanceof GitHubApiError) {
+        console.error(`copilot-metrics: Failed to fetch metrics from GitHub API. ${error.message}`);
+        process.exitCode = 1;
+    } else {
+        console.error(`copilot-metrics: ${error.message}`);
+        process.exitCode = 1;
+    }
+});
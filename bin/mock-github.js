@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+// ============================================================================
+// Standalone Mock GitHub API
+// ============================================================================
+// Serves lib/mockGitHub.js on its own port, e.g. for the command-line tool or for
+// tests against the server's error handling:
+//   MOCK_GITHUB_PORT=4010 npm run mock-github
+//   GITHUB_API_URL=http://localhost:4010 GITHUB_TOKEN=demo GITHUB_ORG=demo-org npm start
+// Scenario orgs such as "demo-rate-limited" answer with errors (see lib/mockGitHub.js).
+const express = require('express');
+const { createMockGitHub } = require('../lib/mockGitHub');
+
+const PORT = Number(process.env.MOCK_GITHUB_PORT) || 4010;
+
+const app = express();
+app.use(createMockGitHub());
+app.listen(PORT, () => {
+    console.log(`Mock GitHub API listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,40 @@
+// ============================================================================
+// BACKEND API HELPERS
+// ============================================================================
+// Every request to the backend goes through apiFetch so it carries the
+// connection profile this browser has selected (X-Profile-Id header) and
+// notices when the sign-in session has expired.
+
+const PROFILE_STORAGE_KEY = 'copilotMetrics.profileId';
+
+// Selected profile id, remembered per browser ('' = server default profile)
+export const getActiveProfileId = () => window.localStorage.getItem(PROFILE_STORAGE_KEY) || '';
+
+export const setActiveProfileId = (profileId) => {
+  if (profileId) {
+    window.localStorage.setItem(PROFILE_STORAGE_KEY, profileId);
+  } else {
+    window.localStorage.removeItem(PROFILE_STORAGE_KEY);
+  }
+};
+
+// Called when the server answers 401 with X-Auth-Required (signed out or session expired)
+let unauthorizedHandler = null;
+
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+// fetch() wrapper that adds the active profile header
+export const apiFetch = async (url, options = {}) => {
+  const profileId = getActiveProfileId();
+  const headers = { ...(options.headers || {}) };
+  if (profileId) {
+    headers['X-Profile-Id'] = profileId;
+  }
+  const response = await fetch(url, { ...options, headers });
+  if (response.status === 401 && response.headers.get('X-Auth-Required') && unauthorizedHandler) {
+    unauthorizedHandler();
+  }
+  return response;
+};
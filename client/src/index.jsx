@@ -1,12 +1,16 @@
 import React from 'react';
 import { createRoot } from 'react-dom/client';
-import App from './App';
+import App, { SharedView, parseSharePath } from './App';
 import './index.css';
 
+// Share links (/share/<token>) and chart embeds (/embed/<token>/<widget>) render
+// a read-only view without the sign-in form or the rest of the app
+const sharePath = parseSharePath(window.location.pathname);
+
 const container = document.getElementById('root');
 const root = createRoot(container);
 root.render(
   <React.StrictMode>
-    <App />
+    {sharePath ? <SharedView token={sharePath.token} widget={sharePath.widget} /> : <App />}
   </React.StrictMode>
 );
\ No newline at end of file
@@ -0,0 +1,682 @@
+// ============================================================================
+// SHARED METRICS TRANSFORMATIONS
+// ============================================================================
+// These functions transform the raw GitHub API response into chart-friendly data.
+// They are shared by the React dashboard and the Express server (exports),
+// so this file is CommonJS and avoids syntax that makes Babel inject helper
+// imports (spread, array destructuring, for...of) — an injected import would
+// turn it into an ES module in the client build.
+// Timeline: After API response received → Transform data → Render charts / export
+
+// ----------------------------------------------------------------------------
+// STEP 4d: Filter Raw Metrics to the Selected Window
+// ----------------------------------------------------------------------------
+// Input: Array of daily metrics and { since, until } (YYYY-MM-DD, either may be empty)
+// Output: The days inside the window, so the transforms below only see that window
+const filterMetricsByDate = (metrics, range) => {
+  if (!Array.isArray(metrics)) return metrics;
+  const since = range.since;
+  const until = range.until;
+  return metrics.filter(day => (!since || day.date >= since) && (!until || day.date <= until));
+};
+
+// ----------------------------------------------------------------------------
+// STEP 4a: Transform Language Data for Pie Chart
+// ----------------------------------------------------------------------------
+// Input: Array of daily metrics from GitHub API
+// Output: Array of {name: "python", value: 150} for pie chart
+const transformLanguageData = (metrics) => {
+  if (!Array.isArray(metrics)) return [];
+
+  const languageMap = new Map();
+
+  // Iterate through each day's metrics
+  metrics.forEach(day => {
+    const completions = day.copilot_ide_code_completions;
+    if (completions && completions.editors) {
+      // Navigate through nested structure: editors → models → languages
+      completions.editors.forEach(editor => {
+        if (editor.models) {
+          editor.models.forEach(model => {
+            if (model.languages) {
+              model.languages.forEach(lang => {
+                // Aggregate lines accepted per language across all days
+                const current = languageMap.get(lang.name) || { lines_accepted: 0 };
+                languageMap.set(lang.name, {
+                  lines_accepted: current.lines_accepted + (lang.total_code_lines_accepted || 0),
+                });
+              });
+            }
+          });
+        }
+      });
+    }
+  });
+
+  // Convert Map to array, filter out languages with 0 accepted lines, and sort by value
+  return Array.from(languageMap, (entry) => ({
+    name: entry[0],
+    value: entry[1].lines_accepted,
+  })).filter(item => item.value > 0).sort((a, b) => b.value - a.value);
+};
+
+// ----------------------------------------------------------------------------
+// STEP 4b: Transform Daily Metrics for Bar Chart
+// ----------------------------------------------------------------------------
+// Input: Array of daily metrics from GitHub API
+// Output: Array of {day: "2025-11-18", total_lines_suggested: 221, ...} for bar chart
+const transformDailyMetrics = (metrics) => {
+  if (!Array.isArray(metrics)) return [];
+
+  return metrics.map(day => {
+    let totalSuggested = 0;
+    let totalAccepted = 0;
+
+    const completions = day.copilot_ide_code_completions;
+    if (completions && completions.editors) {
+      // Sum up all suggestions and acceptances across all editors/models/languages
+      completions.editors.forEach(editor => {
+        if (editor.models) {
+          editor.models.forEach(model => {
+            if (model.languages) {
+              model.languages.forEach(lang => {
+                totalSuggested += (lang.total_code_lines_suggested || 0);
+                totalAccepted += (lang.total_code_lines_accepted || 0);
+              });
+            }
+          });
+        }
+      });
+    }
+
+    // Return simplified daily metrics object
+    return {
+      day: day.date,
+      total_lines_suggested: totalSuggested,
+      total_lines_accepted: totalAccepted,
+      active_users: day.total_active_users || 0,
+      acceptance_rate: totalSuggested > 0 ? (totalAccepted / totalSuggested) * 100 : 0
+    };
+  }).sort((a, b) => new Date(a.day) - new Date(b.day));  // Sort chronologically
+};
+
+// ----------------------------------------------------------------------------
+// STEP 4f: Transform Chat Metrics for Chat Charts
+// ----------------------------------------------------------------------------
+// Input: Array of daily metrics from GitHub API
+// Output: Array of {day, ide_chats, ide_chat_insertions, ide_chat_copies, dotcom_chats} per day
+const transformChatMetrics = (metrics) => {
+  if (!Array.isArray(metrics)) return [];
+
+  return metrics.map(day => {
+    let ideChats = 0;
+    let insertions = 0;
+    let copies = 0;
+    let dotcomChats = 0;
+
+    // IDE chat: editors → models
+    const ideChat = day.copilot_ide_chat;
+    if (ideChat && ideChat.editors) {
+      ideChat.editors.forEach(editor => {
+        if (editor.models) {
+          editor.models.forEach(model => {
+            ideChats += (model.total_chats || 0);
+            insertions += (model.total_chat_insertion_events || 0);
+            copies += (model.total_chat_copy_events || 0);
+          });
+        }
+      });
+    }
+
+    // GitHub.com chat: models only
+    const dotcomChat = day.copilot_dotcom_chat;
+    if (dotcomChat && dotcomChat.models) {
+      dotcomChat.models.forEach(model => {
+        dotcomChats += (model.total_chats || 0);
+      });
+    }
+
+    return {
+      day: day.date,
+      ide_chats: ideChats,
+      ide_chat_insertions: insertions,
+      ide_chat_copies: copies,
+      dotcom_chats: dotcomChats,
+    };
+  }).sort((a, b) => new Date(a.day) - new Date(b.day));  // Sort chronologically
+};
+
+// ----------------------------------------------------------------------------
+// STEP 4g: Transform Engaged Users per Copilot Feature
+// ----------------------------------------------------------------------------
+// Input: Array of daily metrics from GitHub API
+// Output: Array of {day, code_completions, ide_chat, dotcom_chat, pull_requests} engaged users per day
+const transformFeatureEngagement = (metrics) => {
+  if (!Array.isArray(metrics)) return [];
+
+  const engaged = (feature) => (feature && feature.total_engaged_users) || 0;
+  return metrics.map(day => ({
+    day: day.date,
+    code_completions: engaged(day.copilot_ide_code_completions),
+    ide_chat: engaged(day.copilot_ide_chat),
+    dotcom_chat: engaged(day.copilot_dotcom_chat),
+    pull_requests: engaged(day.copilot_dotcom_pull_requests),
+  })).sort((a, b) => new Date(a.day) - new Date(b.day));  // Sort chronologically
+};
+
+// ----------------------------------------------------------------------------
+// STEP 4h: Transform Pull Request Summaries per Repository
+// ----------------------------------------------------------------------------
+// Input: Array of daily metrics from GitHub API
+// Output: Array of {name: "octo-repo", value: 12} (PR summaries created), largest first
+const transformPullRequestData = (metrics) => {
+  if (!Array.isArray(metrics)) return [];
+
+  const repoMap = new Map();
+  metrics.forEach(day => {
+    const pullRequests = day.copilot_dotcom_pull_requests;
+    if (pullRequests && pullRequests.repositories) {
+      // Navigate through nested structure: repositories → models
+      pullRequests.repositories.forEach(repo => {
+        const summaries = (repo.models || []).reduce((sum, model) => sum + (model.total_pr_summaries_created || 0), 0);
+        repoMap.set(repo.name, (repoMap.get(repo.name) || 0) + summaries);
+      });
+    }
+  });
+
+  return Array.from(repoMap, (entry) => ({ name: entry[0], value: entry[1] }))
+    .filter(item => item.value > 0)
+    .sort((a, b) => b.value - a.value);
+};
+
+// ----------------------------------------------------------------------------
+// STEP 4i: Flatten Code Completions into Editor/Model/Language Rows
+// ----------------------------------------------------------------------------
+// Input: Array of daily metrics from GitHub API
+// Output: One row per day × editor × model × language, e.g.
+// {date: "2025-11-18", editor: "vscode", model: "default", is_custom_model: false, language: "python", ...}
+const flattenMetricRows = (metrics) => {
+  if (!Array.isArray(metrics)) return [];
+
+  const rows = [];
+  metrics.forEach(day => {
+    const completions = day.copilot_ide_code_completions;
+    if (!completions || !completions.editors) return;
+
+    // Navigate through nested structure: editors → models → languages
+    completions.editors.forEach(editor => {
+      (editor.models || []).forEach(model => {
+        (model.languages || []).forEach(lang => {
+          rows.push({
+            date: day.date,
+            editor: editor.name,
+            model: model.name,
+            is_custom_model: !!model.is_custom_model,
+            language: lang.name,
+            engaged_users: lang.total_engaged_users || 0,
+            code_suggestions: lang.total_code_suggestions || 0,
+            code_acceptances: lang.total_code_acceptances || 0,
+            lines_suggested: lang.total_code_lines_suggested || 0,
+            lines_accepted: lang.total_code_lines_accepted || 0,
+          });
+        });
+      });
+    });
+  });
+
+  return rows.sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// Acceptance rate (%) of accepted vs suggested lines; 0 when nothing was suggested
+const acceptanceRate = (accepted, suggested) => (suggested > 0 ? (accepted / suggested) * 100 : 0);
+
+// Line totals of a model's languages: { suggested, accepted }
+const sumModelLines = (model) => (model.languages || []).reduce((totals, lang) => ({
+  suggested: totals.suggested + (lang.total_code_lines_suggested || 0),
+  accepted: totals.accepted + (lang.total_code_lines_accepted || 0),
+}), { suggested: 0, accepted: 0 });
+
+// ----------------------------------------------------------------------------
+// STEP 4j: Transform Code Completions per Editor
+// ----------------------------------------------------------------------------
+// Input: Array of daily metrics from GitHub API
+// Output: Array of {name: "vscode", engaged_users, avg_engaged_users, lines_suggested, lines_accepted, acceptance_rate}
+// engaged_users is the editor's peak daily engaged users (users can't be summed across days);
+// avg_engaged_users averages the days the editor was used
+const transformEditorData = (metrics) => {
+  if (!Array.isArray(metrics)) return [];
+
+  const editorMap = new Map();
+  metrics.forEach(day => {
+    const completions = day.copilot_ide_code_completions;
+    if (!completions || !completions.editors) return;
+
+    completions.editors.forEach(editor => {
+      const current = editorMap.get(editor.name) || { days: 0, engaged_total: 0, engaged_peak: 0, suggested: 0, accepted: 0 };
+      const engaged = editor.total_engaged_users || 0;
+      current.days += 1;
+      current.engaged_total += engaged;
+      current.engaged_peak = Math.max(current.engaged_peak, engaged);
+      (editor.models || []).forEach(model => {
+        const lines = sumModelLines(model);
+        current.suggested += lines.suggested;
+        current.accepted += lines.accepted;
+      });
+      editorMap.set(editor.name, current);
+    });
+  });
+
+  return Array.from(editorMap, (entry) => ({
+    name: entry[0],
+    engaged_users: entry[1].engaged_peak,
+    avg_engaged_users: Math.round((entry[1].engaged_total / entry[1].days) * 10) / 10,
+    lines_suggested: entry[1].suggested,
+    lines_accepted: entry[1].accepted,
+    acceptance_rate: acceptanceRate(entry[1].accepted, entry[1].suggested),
+  })).sort((a, b) => b.lines_accepted - a.lines_accepted);
+};
+
+// ----------------------------------------------------------------------------
+// STEP 4k: Transform Code Completions per Model
+// ----------------------------------------------------------------------------
+// Input: Array of daily metrics from GitHub API
+// Output: Array of {name: "default", is_custom_model: false, engaged_users, lines_suggested, lines_accepted, acceptance_rate}
+// A model used from several editors is combined; engaged_users is its peak daily total across editors
+const transformModelData = (metrics) => {
+  if (!Array.isArray(metrics)) return [];
+
+  const modelMap = new Map();
+  metrics.forEach(day => {
+    const completions = day.copilot_ide_code_completions;
+    if (!completions || !completions.editors) return;
+
+    const engagedToday = new Map();
+    completions.editors.forEach(editor => {
+      (editor.models || []).forEach(model => {
+        const key = `${model.name}|${!!model.is_custom_model}`;
+        const current = modelMap.get(key) || {
+          name: model.name, is_custom_model: !!model.is_custom_model, engaged_peak: 0, suggested: 0, accepted: 0,
+        };
+        const lines = sumModelLines(model);
+        current.suggested += lines.suggested;
+        current.accepted += lines.accepted;
+        modelMap.set(key, current);
+        engagedToday.set(key, (engagedToday.get(key) || 0) + (model.total_engaged_users || 0));
+      });
+    });
+    engagedToday.forEach((engaged, key) => {
+      const current = modelMap.get(key);
+      current.engaged_peak = Math.max(current.engaged_peak, engaged);
+    });
+  });
+
+  return Array.from(modelMap.values(), (model) => ({
+    name: model.name,
+    is_custom_model: model.is_custom_model,
+    engaged_users: model.engaged_peak,
+    lines_suggested: model.suggested,
+    lines_accepted: model.accepted,
+    acceptance_rate: acceptanceRate(model.accepted, model.suggested),
+  })).sort((a, b) => b.lines_accepted - a.lines_accepted);
+};
+
+// ----------------------------------------------------------------------------
+// STEP 4l: Transform One Language's Daily Trend Split by Editor
+// ----------------------------------------------------------------------------
+// Input: Array of daily metrics from GitHub API and a language name (e.g. "python")
+// Output: { editors: ["vscode", "jetbrains"], rows: [{day: "2025-11-18", vscode: 120, jetbrains: 45}] }
+// Values are lines accepted; days where an editor didn't use the language are 0
+const transformLanguageTrendByEditor = (metrics, language) => {
+  if (!Array.isArray(metrics) || !language) return { editors: [], rows: [] };
+
+  const editors = [];
+  const rows = metrics.map(day => {
+    const row = { day: day.date };
+    const completions = day.copilot_ide_code_completions;
+    if (completions && completions.editors) {
+      completions.editors.forEach(editor => {
+        (editor.models || []).forEach(model => {
+          (model.languages || []).forEach(lang => {
+            if (lang.name !== language) return;
+            if (!editors.includes(editor.name)) editors.push(editor.name);
+            row[editor.name] = (row[editor.name] || 0) + (lang.total_code_lines_accepted || 0);
+          });
+        });
+      });
+    }
+    return row;
+  });
+
+  // Fill the gaps so every line in the chart is continuous
+  rows.forEach(row => {
+    editors.forEach(name => {
+      if (row[name] === undefined) row[name] = 0;
+    });
+  });
+
+  return { editors: editors, rows: rows.sort((a, b) => new Date(a.day) - new Date(b.day)) };
+};
+
+// ----------------------------------------------------------------------------
+// STEP 4m: Summarize Metrics into Headline Numbers
+// ----------------------------------------------------------------------------
+// Input: Array of daily metrics from GitHub API
+// Output: {days, since, until, total_lines_suggested, total_lines_accepted, acceptance_rate,
+//          peak_active_users, peak_engaged_users, total_chats, chat_insertions, chat_copies, pr_summaries}
+// These are the numbers on the dashboard's MetricCards (null if there is no data)
+const summarizeMetrics = (metrics) => {
+  if (!Array.isArray(metrics)) return null;
+
+  const daily = transformDailyMetrics(metrics);
+  const chats = transformChatMetrics(metrics);
+  const sum = (rows, field) => rows.reduce((total, row) => total + row[field], 0);
+  const peak = (field) => metrics.reduce((max, day) => Math.max(max, day[field] || 0), 0);
+  const suggested = sum(daily, 'total_lines_suggested');
+  const accepted = sum(daily, 'total_lines_accepted');
+
+  return {
+    days: daily.length,
+    since: daily.length ? daily[0].day : null,
+    until: daily.length ? daily[daily.length - 1].day : null,
+    total_lines_suggested: suggested,
+    total_lines_accepted: accepted,
+    acceptance_rate: acceptanceRate(accepted, suggested),
+    peak_active_users: peak('total_active_users'),
+    peak_engaged_users: peak('total_engaged_users'),
+    total_chats: sum(chats, 'ide_chats') + sum(chats, 'dotcom_chats'),
+    chat_insertions: sum(chats, 'ide_chat_insertions'),
+    chat_copies: sum(chats, 'ide_chat_copies'),
+    pr_summaries: sum(transformPullRequestData(metrics), 'value'),
+  };
+};
+
+// ----------------------------------------------------------------------------
+// STEP 4n: Group Metrics by Period, Language, Editor or Model
+// ----------------------------------------------------------------------------
+// Input: Array of daily metrics and one of GROUP_BY_OPTIONS
+// Output for day/week/month: [{period: "2025-11-17", days, lines_suggested, lines_accepted, acceptance_rate, peak_active_users}]
+//   (weeks start on Monday, months are "YYYY-MM")
+// Output for language: [{name, lines_suggested, lines_accepted, acceptance_rate, peak_engaged_users}]
+// Output for editor/model: the rows of transformEditorData / transformModelData
+const GROUP_BY_OPTIONS = ['day', 'week', 'month', 'language', 'editor', 'model'];
+
+// Monday of the week containing a YYYY-MM-DD date
+const weekStart = (date) => {
+  const start = new Date(`${date}T00:00:00Z`);
+  start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  return start.toISOString().slice(0, 10);
+};
+
+const PERIOD_KEYS = {
+  day: (date) => date,
+  week: weekStart,
+  month: (date) => date.slice(0, 7),
+};
+
+const groupByPeriod = (metrics, periodKey) => {
+  const periods = new Map();
+  transformDailyMetrics(metrics).forEach(row => {
+    const key = periodKey(row.day);
+    const current = periods.get(key) || { period: key, days: 0, lines_suggested: 0, lines_accepted: 0, peak_active_users: 0 };
+    current.days += 1;
+    current.lines_suggested += row.total_lines_suggested;
+    current.lines_accepted += row.total_lines_accepted;
+    current.peak_active_users = Math.max(current.peak_active_users, row.active_users);
+    periods.set(key, current);
+  });
+
+  return Array.from(periods.values(), (period) => ({
+    period: period.period,
+    days: period.days,
+    lines_suggested: period.lines_suggested,
+    lines_accepted: period.lines_accepted,
+    acceptance_rate: acceptanceRate(period.lines_accepted, period.lines_suggested),
+    peak_active_users: period.peak_active_users,
+  })).sort((a, b) => a.period.localeCompare(b.period));
+};
+
+const groupByLanguage = (metrics) => {
+  const languages = new Map();
+  const engagedByDay = new Map();  // "language|date" → engaged users summed over editors and models
+  flattenMetricRows(metrics).forEach(row => {
+    const current = languages.get(row.language) || { name: row.language, lines_suggested: 0, lines_accepted: 0, peak_engaged_users: 0 };
+    current.lines_suggested += row.lines_suggested;
+    current.lines_accepted += row.lines_accepted;
+    languages.set(row.language, current);
+
+    const dayKey = `${row.language}|${row.date}`;
+    const engaged = (engagedByDay.get(dayKey) || 0) + row.engaged_users;
+    engagedByDay.set(dayKey, engaged);
+    current.peak_engaged_users = Math.max(current.peak_engaged_users, engaged);
+  });
+
+  return Array.from(languages.values(), (language) => ({
+    name: language.name,
+    lines_suggested: language.lines_suggested,
+    lines_accepted: language.lines_accepted,
+    acceptance_rate: acceptanceRate(language.lines_accepted, language.lines_suggested),
+    peak_engaged_users: language.peak_engaged_users,
+  })).sort((a, b) => b.lines_accepted - a.lines_accepted);
+};
+
+const groupMetrics = (metrics, groupBy) => {
+  if (!Array.isArray(metrics)) return [];
+  if (PERIOD_KEYS[groupBy]) return groupByPeriod(metrics, PERIOD_KEYS[groupBy]);
+  if (groupBy === 'language') return groupByLanguage(metrics);
+  if (groupBy === 'editor') return transformEditorData(metrics);
+  if (groupBy === 'model') return transformModelData(metrics);
+  return [];
+};
+
+// ----------------------------------------------------------------------------
+// STEP 4o: Compare the Latest Period with the One Before
+// ----------------------------------------------------------------------------
+// Input: Array of daily metrics and a period length in days (7 = week over week)
+// Output: {since, until, current, previous, changes} or null if there is no data, where
+//   current/previous are summarizeMetrics() of the `days` days ending on the latest day and
+//   of the `days` days before them, and changes maps each headline number to its % change
+//   (percentage points for acceptance_rate; null when the previous period has nothing to compare).
+//   previous is null unless the data covers all of its days: totals of a partly covered
+//   period would show made-up jumps (2 days of history vs. a full month is not a +1300% month).
+const PERIOD_CHANGE_FIELDS = [
+  'total_lines_suggested', 'total_lines_accepted', 'peak_active_users', 'peak_engaged_users',
+  'total_chats', 'chat_insertions', 'chat_copies', 'pr_summaries',
+];
+
+const shiftDate = (date, days) => {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+};
+
+const comparePeriods = (metrics, days) => {
+  if (!Array.isArray(metrics) || metrics.length === 0) return null;
+
+  const until = metrics.reduce((latest, day) => (day.date > latest ? day.date : latest), metrics[0].date);
+  const since = shiftDate(until, 1 - days);
+  const current = summarizeMetrics(filterMetricsByDate(metrics, { since: since, until: until }));
+  const previousMetrics = filterMetricsByDate(metrics, { since: shiftDate(since, -days), until: shiftDate(since, -1) });
+  const previous = previousMetrics.length === days ? summarizeMetrics(previousMetrics) : null;
+
+  const changes = {
+    acceptance_rate: previous && previous.total_lines_suggested > 0 ? current.acceptance_rate - previous.acceptance_rate : null,
+  };
+  PERIOD_CHANGE_FIELDS.forEach(field => {
+    changes[field] = previous && previous[field] > 0 ? ((current[field] - previous[field]) / previous[field]) * 100 : null;
+  });
+
+  return { since: since, until: until, current: current, previous: previous, changes: changes };
+};
+
+// Week-over-week and month-over-month deltas shown on the MetricCards
+// Input: {week, month} from comparePeriods (either may be null) and a PERIOD_CHANGE_FIELDS
+//   field or acceptance_rate
+// Output: [{label, title, value, unit, missing}]; value is null when there is nothing to compare,
+//   and `missing` then says why if the data doesn't cover the previous period (a partly covered
+//   one counts as missing): the live API only returns 28 days, so month-over-month needs history
+const PERIOD_DELTAS = [
+  { key: 'week', label: 'WoW', title: 'Last 7 days vs. the 7 days before', missing: 'Needs 14 days of data.' },
+  { key: 'month', label: 'MoM', title: 'Last 28 days vs. the 28 days before', missing: 'Needs 56 days of data: GitHub only returns the last 28 days live, so pick a history range.' },
+];
+
+const periodDeltas = (periodChanges, field) => PERIOD_DELTAS.map(delta => {
+  const comparison = periodChanges[delta.key];
+  const change = comparison ? comparison.changes[field] : null;
+  return {
+    label: delta.label,
+    title: delta.title,
+    value: change === null ? null : Math.round(change * 10) / 10,  // Rounded first so "0.0" never gets an arrow
+    unit: field === 'acceptance_rate' ? ' pts' : '%',
+    missing: comparison && !comparison.previous ? delta.missing : null,
+  };
+});
+
+// ----------------------------------------------------------------------------
+// STEP 4p: Daily Trends - Moving Averages, Weekday/Weekend and Anomalies
+// ----------------------------------------------------------------------------
+// Input: Array of daily metrics from GitHub API (and optionally the moving-average window in days)
+// Output: the rows of transformDailyMetrics plus
+//   {weekend, suggested_avg, accepted_avg, active_users_avg, acceptance_rate_avg, anomalies: [{field, direction, score}]}
+// Averages cover the `windowDays` calendar days ending on each day (fewer at the start of the data).
+// A day is anomalous when a field is ANOMALY_THRESHOLD or more standard deviations from the mean of
+// the other days of the same type, so a quiet weekend is only compared with other weekends.
+const MOVING_AVERAGE_DAYS = 7;
+const ANOMALY_FIELDS = ['total_lines_suggested', 'active_users'];
+const ANOMALY_THRESHOLD = 2.5;
+const MIN_BASELINE_DAYS = 5;  // Too few comparable days say nothing about what is normal
+
+const isWeekend = (date) => {
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return weekday === 0 || weekday === 6;
+};
+
+const average = (rows, field) => (rows.length > 0 ? rows.reduce((total, row) => total + row[field], 0) / rows.length : 0);
+
+const transformDailyTrends = (metrics, windowDays) => {
+  const days = windowDays || MOVING_AVERAGE_DAYS;
+  const rows = transformDailyMetrics(metrics).map(row => Object.assign({}, row, { weekend: isWeekend(row.day), anomalies: [] }));
+
+  rows.forEach(row => {
+    const since = shiftDate(row.day, 1 - days);
+    const recent = rows.filter(other => other.day >= since && other.day <= row.day);
+    row.suggested_avg = average(recent, 'total_lines_suggested');
+    row.accepted_avg = average(recent, 'total_lines_accepted');
+    row.active_users_avg = average(recent, 'active_users');
+    row.acceptance_rate_avg = acceptanceRate(row.accepted_avg, row.suggested_avg);
+
+    const baseline = rows.filter(other => other !== row && other.weekend === row.weekend);
+    if (baseline.length < MIN_BASELINE_DAYS) return;
+    ANOMALY_FIELDS.forEach(field => {
+      const mean = average(baseline, field);
+      const deviation = Math.sqrt(baseline.reduce((total, other) => total + Math.pow(other[field] - mean, 2), 0) / baseline.length);
+      if (deviation === 0) return;
+      const score = (row[field] - mean) / deviation;
+      if (Math.abs(score) >= ANOMALY_THRESHOLD) {
+        row.anomalies.push({ field: field, direction: score > 0 ? 'high' : 'low', score: Math.round(score * 10) / 10 });
+      }
+    });
+  });
+  return rows;
+};
+
+// ----------------------------------------------------------------------------
+// STEP 4q: Compare Weekdays with Weekends
+// ----------------------------------------------------------------------------
+// Input: Array of daily metrics from GitHub API
+// Output: [{type: "weekday" | "weekend", days, avg_lines_suggested, avg_lines_accepted, avg_active_users, acceptance_rate}]
+const summarizeByDayType = (metrics) => {
+  const daily = transformDailyMetrics(metrics);
+  return ['weekday', 'weekend'].map(type => {
+    const rows = daily.filter(row => isWeekend(row.day) === (type === 'weekend'));
+    const suggested = average(rows, 'total_lines_suggested');
+    const accepted = average(rows, 'total_lines_accepted');
+    return {
+      type: type,
+      days: rows.length,
+      avg_lines_suggested: suggested,
+      avg_lines_accepted: accepted,
+      avg_active_users: average(rows, 'active_users'),
+      acceptance_rate: acceptanceRate(accepted, suggested),
+    };
+  });
+};
+
+// ----------------------------------------------------------------------------
+// STEP 4r: Estimate Time Saved and Cost-Benefit per Month
+// ----------------------------------------------------------------------------
+// Input: Array of daily metrics, the ROI assumptions
+//   {minutesPerAcceptedLine, minutesPerChat, hourlyCost, seatPrice (per seat per month)}
+//   and the number of billed seats (null if unknown)
+// Output: {months: [{period: "2025-11", days, lines_accepted, chats, active_users, seats, hours_saved,
+//          value_saved, seat_cost, net_benefit, roi}], totals: {same fields, period: null}}
+//   active_users is the month's peak of daily active users. seats is the billed seat count, or
+//   active_users when it is unknown (which understates the cost: licensed seats are rarely all used).
+//   seat_cost covers only the days of the month present in the data, so partial months compare fairly.
+//   roi is net_benefit / seat_cost (null without a cost).
+const daysInMonth = (period) => {
+  const parts = period.split('-');
+  return new Date(Date.UTC(Number(parts[0]), Number(parts[1]), 0)).getUTCDate();
+};
+
+const finishRoiRow = (row, assumptions) => {
+  row.hours_saved = (row.lines_accepted * assumptions.minutesPerAcceptedLine + row.chats * assumptions.minutesPerChat) / 60;
+  row.value_saved = row.hours_saved * assumptions.hourlyCost;
+  row.net_benefit = row.value_saved - row.seat_cost;
+  row.roi = row.seat_cost > 0 ? row.net_benefit / row.seat_cost : null;
+  return row;
+};
+
+const estimateRoi = (metrics, assumptions, billedSeats = null) => {
+  const chatsByDay = new Map();
+  transformChatMetrics(metrics).forEach(row => chatsByDay.set(row.day, row.ide_chats + row.dotcom_chats));
+
+  const months = new Map();
+  transformDailyMetrics(metrics).forEach(row => {
+    const period = row.day.slice(0, 7);
+    const month = months.get(period) || { period: period, days: 0, lines_accepted: 0, chats: 0, active_users: 0 };
+    month.days += 1;
+    month.lines_accepted += row.total_lines_accepted;
+    month.chats += chatsByDay.get(row.day) || 0;
+    month.active_users = Math.max(month.active_users, row.active_users);
+    months.set(period, month);
+  });
+
+  const rows = Array.from(months.values()).sort((a, b) => a.period.localeCompare(b.period)).map(month => {
+    month.seats = billedSeats === null ? month.active_users : billedSeats;
+    month.seat_cost = month.seats * assumptions.seatPrice * (month.days / daysInMonth(month.period));
+    return finishRoiRow(month, assumptions);
+  });
+
+  const totals = { period: null, days: 0, lines_accepted: 0, chats: 0, active_users: 0, seats: 0, seat_cost: 0 };
+  rows.forEach(month => {
+    totals.days += month.days;
+    totals.lines_accepted += month.lines_accepted;
+    totals.chats += month.chats;
+    totals.active_users = Math.max(totals.active_users, month.active_users);
+    totals.seats = Math.max(totals.seats, month.seats);
+    totals.seat_cost += month.seat_cost;
+  });
+
+  return { months: rows, totals: finishRoiRow(totals, assumptions) };
+};
+
+module.exports = {
+  filterMetricsByDate,
+  transformLanguageData,
+  transformDailyMetrics,
+  transformChatMetrics,
+  transformFeatureEngagement,
+  transformPullRequestData,
+  flattenMetricRows,
+  transformEditorData,
+  transformModelData,
+  transformLanguageTrendByEditor,
+  summarizeMetrics,
+  GROUP_BY_OPTIONS,
+  groupMetrics,
+  comparePeriods,
+  periodDeltas,
+  transformDailyTrends,
+  summarizeByDayType,
+  estimateRoi,
+};
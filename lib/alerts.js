@@ -0,0 +1,296 @@
+// ============================================================================
+// Threshold Alerts
+// ============================================================================
+// Alert rules are evaluated after every metrics fetch, against the stored history
+// of the fetched org/enterprise (or team). Each rule + target pair is either
+// "firing" or "resolved"; every change is sent to the rule's webhook, if it has one.
+// Rules:  DATA_DIR/alert-rules.json → [{ id, name, type, threshold, days, language,
+//           profileId, team, webhookUrl, webhookFormat, enabled, createdAt, updatedAt }]
+// States: DATA_DIR/alert-state.json → { "<ruleId> <history key>": { ruleId, ruleName, target,
+//           profileId, status, value, message, changedAt, evaluatedAt, delivery } }
+const crypto = require('crypto');
+const { dataPath, readJsonFile, updateJsonFile } = require('./dataStore');
+const { readHistory } = require('./historyStore');
+const { historyKey, describeTarget } = require('./metricsScope');
+const { WEBHOOK_FORMATS, postWebhook } = require('./webhooks');
+const { transformDailyMetrics, flattenMetricRows } = require('../client/src/shared/metrics');
+
+const RULES_FILE = dataPath('alert-rules.json');
+const STATE_FILE = dataPath('alert-state.json');
+
+// acceptance_rate:   acceptance rate below `threshold`% on each of the last `days` days with suggestions
+// active_users_drop: average daily active users down at least `threshold`% week over week
+// language_dropout:  a language (or `language`) active in the `days` before the last `days` days, but not since
+const ALERT_TYPES = ['acceptance_rate', 'active_users_drop', 'language_dropout'];
+const MAX_DAYS = 28;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// ----------------------------------------------------------------------------
+// Validate Rule Input
+// ----------------------------------------------------------------------------
+// Parses the fields accepted by the rule routes; on update, omitted fields keep their current value.
+// Returns { fields } on success or { error } describing the first problem found.
+const parseRuleInput = (body, existing) => {
+    const input = { ...(existing || {}), ...body };
+    const name = String(input.name || '').trim();
+    const type = input.type;
+    const threshold = Number(input.threshold);
+    const days = Number(input.days);
+    const webhookUrl = String(input.webhookUrl || '').trim();
+    const webhookFormat = input.webhookFormat || 'generic';
+
+    if (!name) {
+        return { error: 'Rule name is required.' };
+    }
+    if (!ALERT_TYPES.includes(type)) {
+        return { error: `Rule type must be one of: ${ALERT_TYPES.join(', ')}.` };
+    }
+    if (type !== 'language_dropout' && !(threshold > 0 && threshold <= 100)) {
+        return { error: 'Threshold must be a percentage between 0 and 100.' };
+    }
+    if (type !== 'active_users_drop' && !(Number.isInteger(days) && days >= 1 && days <= MAX_DAYS)) {
+        return { error: `Days must be a whole number between 1 and ${MAX_DAYS}.` };
+    }
+    if (webhookUrl && !/^https?:\/\/[^\s]+$/.test(webhookUrl)) {
+        return { error: 'Webhook URL must be an http(s) URL.' };
+    }
+    if (!WEBHOOK_FORMATS.includes(webhookFormat)) {
+        return { error: `Webhook format must be one of: ${WEBHOOK_FORMATS.join(', ')}.` };
+    }
+
+    return {
+        fields: {
+            name,
+            type,
+            threshold: type === 'language_dropout' ? null : threshold,
+            days: type === 'active_users_drop' ? 7 : days,
+            language: type === 'language_dropout' ? String(input.language || '').trim().toLowerCase() : '',
+            profileId: String(input.profileId || ''),  // '' = every profile
+            team: String(input.team || '').trim(),     // '' = the whole org/enterprise, not its teams
+            webhookUrl,
+            webhookFormat,
+            enabled: input.enabled !== false,
+        },
+    };
+};
+
+// ----------------------------------------------------------------------------
+// Evaluate One Rule
+// ----------------------------------------------------------------------------
+// Input: a rule and the daily metrics of one target (GitHub API shape, sorted by date)
+// Output: { firing, value, message }, or null when there isn't enough data to decide
+const evaluateRule = (rule, metrics) => {
+    if (rule.type === 'acceptance_rate') {
+        // Days without suggestions (weekends, holidays) say nothing about the acceptance rate
+        const daily = transformDailyMetrics(metrics).filter(row => row.total_lines_suggested > 0);
+        if (daily.length < rule.days) return null;
+        const recent = daily.slice(-rule.days);
+        const latest = recent[recent.length - 1];
+        const firing = recent.every(row => row.acceptance_rate < rule.threshold);
+        return {
+            firing,
+            value: round(latest.acceptance_rate),
+            message: firing
+                ? `Acceptance rate below ${rule.threshold}% for ${rule.days} day(s) (${round(latest.acceptance_rate)}% on ${latest.day}).`
+                : `Acceptance rate is ${round(latest.acceptance_rate)}% on ${latest.day} (threshold ${rule.threshold}%).`,
+        };
+    }
+
+    if (rule.type === 'active_users_drop') {
+        const daily = transformDailyMetrics(metrics);
+        if (daily.length < 14) return null;
+        const average = (rows) => rows.reduce((total, row) => total + row.active_users, 0) / rows.length;
+        const previous = average(daily.slice(-14, -7));
+        const current = average(daily.slice(-7));
+        if (previous === 0) return null;
+        const change = ((current - previous) / previous) * 100;
+        const direction = change === 0 ? 'unchanged' : `${change < 0 ? 'down' : 'up'} ${round(Math.abs(change))}%`;
+        return {
+            firing: change <= -rule.threshold,
+            value: round(change),
+            message: `Average daily active users ${direction} week over week (${round(current)} vs ${round(previous)}).`,
+        };
+    }
+
+    // language_dropout: compare the last `days` days with the `days` before them
+    const dates = metrics.map(day => day.date);
+    if (dates.length < rule.days * 2) return null;
+    const cutoff = dates[dates.length - rule.days];
+    const baselineStart = dates[dates.length - rule.days * 2];
+    const activeLanguages = (from, to) => new Set(flattenMetricRows(metrics)
+        .filter(row => row.engaged_users > 0 && row.date >= from && (!to || row.date < to))
+        .map(row => row.language.toLowerCase()));
+    const baseline = activeLanguages(baselineStart, cutoff);
+    const recent = activeLanguages(cutoff);
+    const candidates = rule.language ? [rule.language] : Array.from(baseline);
+    const dropped = candidates.filter(language => baseline.has(language) && !recent.has(language)).sort();
+    return {
+        firing: dropped.length > 0,
+        value: dropped.length,
+        message: dropped.length > 0
+            ? `No Copilot activity in ${dropped.join(', ')} for the last ${rule.days} day(s).`
+            : `${rule.language || 'All previously used languages'} active in the last ${rule.days} day(s).`,
+    };
+};
+
+// ----------------------------------------------------------------------------
+// Notifications
+// ----------------------------------------------------------------------------
+// Send a state change (or a test) to the rule's webhook. Resolves with { ok, error, at }.
+const notify = async (rule, state) => {
+    const payload = {
+        event: 'copilot_metrics_alert',
+        status: state.status,  // 'firing', 'resolved' or 'test'
+        rule: { id: rule.id, name: rule.name, type: rule.type, threshold: rule.threshold, days: rule.days, language: rule.language },
+        target: state.target,
+        value: state.value,
+        message: state.message,
+        changedAt: state.changedAt,
+    };
+    const prefix = { firing: ':rotating_light: FIRING', resolved: ':white_check_mark: RESOLVED', test: ':wave: TEST' }[state.status];
+    const text = `${prefix} ${rule.name} (${state.target}): ${state.message}`;
+
+    const result = await postWebhook(rule.webhookUrl, rule.webhookFormat, payload, text);
+    if (!result.ok) {
+        console.error(`Alert "${rule.name}" could not be delivered: ${result.error}`);
+    }
+    return { ok: result.ok, error: result.error || null, at: new Date().toISOString() };
+};
+
+const sendTestNotification = (rule) => notify(rule, {
+    status: 'test',
+    target: 'Test notification',
+    value: null,
+    message: 'This webhook will receive alerts from the Copilot metrics dashboard.',
+    changedAt: new Date().toISOString(),
+});
+
+// ----------------------------------------------------------------------------
+// Check Alerts After a Fetch
+// ----------------------------------------------------------------------------
+// Evaluates the enabled rules that apply to this profile and team against the
+// stored history, records state changes, and delivers them.
+// Resolves with the number of state changes.
+const checkAlerts = async (profile, team = '') => {
+    const rules = (await readRules()).filter(rule => (
+        rule.enabled && (!rule.profileId || rule.profileId === profile.id) && rule.team === (team || '')
+    ));
+    if (rules.length === 0) return 0;
+
+    const key = historyKey(profile, team);
+    const target = team ? `${describeTarget(profile)} / team ${team}` : describeTarget(profile);
+    const metrics = await readHistory(key);
+
+    // Record the new states; a rule's first evaluation only counts as a change when it fires
+    const changes = [];
+    await updateJsonFile(STATE_FILE, {}, (states) => {
+        const now = new Date().toISOString();
+        rules.forEach(rule => {
+            const result = evaluateRule(rule, metrics);
+            if (!result) return;
+            const stateKey = `${rule.id} ${key}`;
+            const previous = states[stateKey];
+            const status = result.firing ? 'firing' : 'resolved';
+            const changed = previous ? previous.status !== status : result.firing;
+            states[stateKey] = {
+                ruleId: rule.id,
+                ruleName: rule.name,
+                target,
+                profileId: profile.id,
+                status,
+                value: result.value,
+                message: result.message,
+                changedAt: changed || !previous ? now : previous.changedAt,
+                evaluatedAt: now,
+                delivery: previous ? previous.delivery : null,
+            };
+            if (changed) {
+                console.log(`Alert "${rule.name}" ${status} for ${target}: ${result.message}`);
+                changes.push({ stateKey, rule, state: states[stateKey] });
+            }
+        });
+        return states;
+    });
+
+    // Deliver outside the state update so a slow webhook doesn't hold up other writers
+    await Promise.all(changes.filter(change => change.rule.webhookUrl).map(async ({ stateKey, rule, state }) => {
+        const delivery = await notify(rule, state);
+        await updateJsonFile(STATE_FILE, {}, (states) => {
+            if (states[stateKey]) states[stateKey].delivery = delivery;
+            return states;
+        });
+    }));
+    return changes.length;
+};
+
+// ----------------------------------------------------------------------------
+// CRUD Operations
+// ----------------------------------------------------------------------------
+const readRules = () => readJsonFile(RULES_FILE, []);
+
+// Webhook URLs embed secrets (e.g. Slack tokens), so only admins get to see them
+const toPublicRule = (rule, includeWebhook) => {
+    const publicRule = { ...rule, hasWebhook: !!rule.webhookUrl };
+    if (!includeWebhook) delete publicRule.webhookUrl;
+    return publicRule;
+};
+
+const listRules = readRules;
+
+const findRule = async (id) => (await readRules()).find(rule => rule.id === id) || null;
+
+const createRule = async (fields) => {
+    const now = new Date().toISOString();
+    const rule = { id: crypto.randomBytes(6).toString('hex'), ...fields, createdAt: now, updatedAt: now };
+    await updateJsonFile(RULES_FILE, [], rules => [...rules, rule]);
+    return rule;
+};
+
+// Returns the updated rule, or null if it doesn't exist
+const updateRule = async (id, fields) => {
+    let updated = null;
+    await updateJsonFile(RULES_FILE, [], rules => rules.map(rule => {
+        if (rule.id !== id) return rule;
+        updated = { ...rule, ...fields, id, updatedAt: new Date().toISOString() };
+        return updated;
+    }));
+    return updated;
+};
+
+// Deletes the rule and its alert states. Returns false if it doesn't exist.
+const deleteRule = async (id) => {
+    let deleted = false;
+    await updateJsonFile(RULES_FILE, [], (rules) => {
+        deleted = rules.some(rule => rule.id === id);
+        return rules.filter(rule => rule.id !== id);
+    });
+    if (deleted) {
+        await updateJsonFile(STATE_FILE, {}, (states) => {
+            Object.keys(states).filter(key => states[key].ruleId === id).forEach(key => delete states[key]);
+            return states;
+        });
+    }
+    return deleted;
+};
+
+// Current alert states, firing first, then most recently changed
+const listAlertStates = async () => {
+    const states = Object.values(await readJsonFile(STATE_FILE, {}));
+    return states.sort((a, b) => (a.status === b.status ? b.changedAt.localeCompare(a.changedAt) : a.status === 'firing' ? -1 : 1));
+};
+
+module.exports = {
+    ALERT_TYPES,
+    parseRuleInput,
+    evaluateRule,
+    checkAlerts,
+    sendTestNotification,
+    toPublicRule,
+    listRules,
+    findRule,
+    createRule,
+    updateRule,
+    deleteRule,
+    listAlertStates,
+};
@@ -0,0 +1,205 @@
+// ============================================================================
+// Audit Log
+// ============================================================================
+// A persistent record of who signed in, who changed the configuration (credentials, users,
+// alert rules, ROI assumptions) and who read Copilot usage data, as evidence for compliance
+// reviews. Events are appended as one JSON object per line and never rewritten:
+//   DATA_DIR/audit-log.jsonl → { id, timestamp, ip, user, action, method, path, profileId,
+//                                org, outcome, status, githubStatus, details, error }
+// outcome is "success" (status below 400), "denied" (401/403 from this server, e.g. a
+// viewer changing the configuration) or "failure". githubStatus is GitHub's HTTP status
+// (502/504 when GitHub could not be reached), or null when GitHub was not asked.
+// Credentials never reach the log: `details` only keeps the fields in DETAIL_FIELDS.
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { dataPath } = require('./dataStore');
+const { parseDateRange } = require('./queryParams');
+
+const LOG_FILE = dataPath('audit-log.jsonl');
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+const AUDIT_ACTIONS = [
+    'auth.required',    // API requests refused for want of a signed-in session
+    'auth.login',       // sign-in attempts, including failed and blocked ones
+    'auth.logout',      // POST /api/auth/logout
+    'auth.setup',       // first-run admin account
+    'user.list',        // GET /api/users
+    'user.create',      // POST /api/users
+    'user.update',      // PUT /api/users/:username (passwords and roles)
+    'user.delete',      // DELETE /api/users/:username
+    'config.update',    // POST /api/config
+    'profile.create',   // POST /api/profiles
+    'profile.update',   // PUT /api/profiles/:id
+    'profile.delete',   // DELETE /api/profiles/:id
+    'alert.create',     // POST /api/alerts/rules
+    'alert.update',     // PUT /api/alerts/rules/:id
+    'alert.delete',     // DELETE /api/alerts/rules/:id
+    'alert.test',       // POST /api/alerts/rules/:id/test (sends a webhook)
+    'roi.update',       // PUT /api/roi/assumptions
+    'teams.fetch',      // the org's or enterprise's team list
+    'metrics.fetch',    // live or stored metrics (org, team, history)
+    'metrics.summary',  // /api/summary and /api/roi
+    'metrics.export',   // /api/export downloads
+    'metrics.scrape',   // Prometheus /metrics scrapes (every configured profile)
+    'seats.fetch',      // billing summary and seat assignments (per-user activity)
+    'share.list',       // GET /api/shares (the links' tokens)
+    'share.create',     // POST /api/shares
+    'share.revoke',     // DELETE /api/shares/:id
+    'share.open',       // a share link opened without signing in
+    'report.list',      // GET /api/reports
+    'report.read',      // GET /api/reports/:id (metadata or the digest itself)
+    'report.create',    // POST /api/reports (fetches the selected profile's metrics)
+    'audit.read',       // GET /api/audit (reading this log)
+];
+const AUDIT_OUTCOMES = ['success', 'denied', 'failure'];
+
+// Request fields worth keeping: what was asked for, never tokens or keys
+const DETAIL_FIELDS = [
+    'team', 'teamSlug', 'since', 'until', 'source', 'dataset', 'format', 'groupBy', 'inactiveDays',
+    'name', 'authType', 'appId', 'installationId', 'scope', 'org', 'enterprise', 'apiBaseUrl', 'demo',
+    'mode', 'expiresInDays', 'id', 'username', 'role', 'type', 'enabled', 'action', 'outcome', 'user',
+];
+
+// The fields of DETAIL_FIELDS that `sources` (query, params, body...) carry, first one wins
+const pickDetails = (...sources) => {
+    const details = {};
+    DETAIL_FIELDS.forEach(field => {
+        const source = sources.find(candidate => candidate && candidate[field] !== undefined && candidate[field] !== '');
+        if (source && ['string', 'number', 'boolean'].includes(typeof source[field])) {
+            details[field] = source[field];
+        }
+    });
+    return details;
+};
+
+const auditOutcome = (status) => {
+    if (status < 400) return 'success';
+    return status === 401 || status === 403 ? 'denied' : 'failure';
+};
+
+// ----------------------------------------------------------------------------
+// Record an Event
+// ----------------------------------------------------------------------------
+// Appends are queued so lines never interleave; resolves with the stored entry
+let appendQueue = Promise.resolve();
+
+const recordAuditEvent = (event) => {
+    const entry = {
+        id: crypto.randomBytes(6).toString('base64url'),
+        timestamp: new Date().toISOString(),
+        ip: event.ip || null,
+        user: event.user || null,
+        action: event.action,
+        method: event.method || null,
+        path: event.path || null,
+        profileId: event.profileId || null,
+        org: event.org || null,
+        outcome: auditOutcome(event.status),
+        status: event.status,
+        githubStatus: event.githubStatus || null,
+        details: event.details || {},
+        error: event.error || null,
+    };
+    const write = appendQueue
+        .catch(() => {})  // A failed earlier write must not block later ones
+        .then(async () => {
+            await fs.mkdir(path.dirname(LOG_FILE), { recursive: true });
+            await fs.appendFile(LOG_FILE, `${JSON.stringify(entry)}\n`);
+            return entry;
+        });
+    appendQueue = write;
+    return write;
+};
+
+// ----------------------------------------------------------------------------
+// Validate Audit Query
+// ----------------------------------------------------------------------------
+// Query: ?since=&until= (YYYY-MM-DD, UTC) &user= &action= (an action or a prefix such as
+//        "metrics") &outcome= &org= (substring) &ip= &limit= (1-1000, default 100) &offset=
+// Returns { filters } on success or { error } describing the first problem found.
+const parseAuditQuery = (query) => {
+    const { since, until, error } = parseDateRange(query);
+    if (error) {
+        return { error };
+    }
+    const action = query.action || null;
+    if (action && !AUDIT_ACTIONS.some(name => name === action || name.startsWith(`${action}.`))) {
+        return { error: `\`action\` must be one of: ${AUDIT_ACTIONS.join(', ')} (or the part before the dot).` };
+    }
+    const outcome = query.outcome || null;
+    if (outcome && !AUDIT_OUTCOMES.includes(outcome)) {
+        return { error: `\`outcome\` must be one of: ${AUDIT_OUTCOMES.join(', ')}.` };
+    }
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        return { error: `\`limit\` must be an integer between 1 and ${MAX_LIMIT}.` };
+    }
+    const offset = query.offset === undefined ? 0 : Number(query.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+        return { error: '`offset` must be a non-negative integer.' };
+    }
+
+    return {
+        filters: {
+            since: since || null,
+            until: until || null,
+            user: query.user || null,
+            action,
+            outcome,
+            org: query.org || null,
+            ip: query.ip || null,
+            limit,
+            offset,
+        },
+    };
+};
+
+// ----------------------------------------------------------------------------
+// Query the Log
+// ----------------------------------------------------------------------------
+const matches = (entry, filters) => {
+    const day = entry.timestamp.slice(0, 10);
+    return (!filters.since || day >= filters.since)
+        && (!filters.until || day <= filters.until)
+        && (!filters.user || entry.user === filters.user)
+        && (!filters.action || entry.action === filters.action || entry.action.startsWith(`${filters.action}.`))
+        && (!filters.outcome || entry.outcome === filters.outcome)
+        && (!filters.org || (entry.org || '').toLowerCase().includes(filters.org.toLowerCase()))
+        && (!filters.ip || entry.ip === filters.ip);
+};
+
+// Newest first: { entries (one page), total (matching entries) }
+const queryAuditLog = async (filters) => {
+    let contents;
+    try {
+        contents = await fs.readFile(LOG_FILE, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return { entries: [], total: 0 };
+        throw error;
+    }
+
+    const matching = [];
+    contents.split('\n').forEach(line => {
+        if (!line) return;
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (error) {
+            return;  // A line cut short by a crash; the rest of the log is still valid
+        }
+        if (matches(entry, filters)) matching.push(entry);
+    });
+    matching.reverse();
+    return { entries: matching.slice(filters.offset, filters.offset + filters.limit), total: matching.length };
+};
+
+module.exports = {
+    AUDIT_ACTIONS,
+    AUDIT_OUTCOMES,
+    pickDetails,
+    recordAuditEvent,
+    parseAuditQuery,
+    queryAuditLog,
+};
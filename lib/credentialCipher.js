@@ -0,0 +1,49 @@
+// ============================================================================
+// Credential Encryption
+// ============================================================================
+// Encrypts secrets (GitHub tokens) before they are written to DATA_DIR, using
+// AES-256-GCM with a key from CREDENTIALS_KEY or the file named by
+// CREDENTIALS_KEY_FILE (e.g. a Docker/Kubernetes secret mounted at /run/secrets).
+// Without a key, credentials are never written to disk.
+const crypto = require('crypto');
+const fs = require('fs');
+
+const ALGORITHM = 'aes-256-gcm';
+
+// Read the key material once; any string works, it is stretched to 32 bytes
+const loadKey = () => {
+    let secret = process.env.CREDENTIALS_KEY || '';
+    if (!secret && process.env.CREDENTIALS_KEY_FILE) {
+        try {
+            secret = fs.readFileSync(process.env.CREDENTIALS_KEY_FILE, 'utf8').trim();
+        } catch (error) {
+            console.error(`Could not read CREDENTIALS_KEY_FILE: ${error.message}`);
+        }
+    }
+    return secret ? crypto.scryptSync(secret, 'copilot-metrics-credentials', 32) : null;
+};
+
+const key = loadKey();
+
+const isEncryptionConfigured = () => key !== null;
+
+// Returns { iv, tag, data } (base64 strings) for a plaintext secret
+const encryptSecret = (plaintext) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+};
+
+// Reverses encryptSecret; throws if the key is wrong or the data was tampered with
+const decryptSecret = (box) => {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(box.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(box.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(box.data, 'base64')), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+    isEncryptionConfigured,
+    encryptSecret,
+    decryptSecret,
+};
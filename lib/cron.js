@@ -0,0 +1,117 @@
+// ============================================================================
+// Cron Schedules
+// ============================================================================
+// Minimal five-field cron expressions ("minute hour day-of-month month day-of-week"),
+// evaluated in the server's local time zone (set TZ to change it). Each field takes
+// "*", numbers, ranges ("1-5"), steps ("*/15", "8-18/2") and lists ("1,15");
+// months and days of week may also be named ("jan", "mon-fri").
+// Day of week runs 0-7 with both 0 and 7 meaning Sunday. As in cron, when both the
+// day of month and the day of week are restricted, a day matching either one counts;
+// like Vixie cron, a field starting with "*" ("*", "*/1", "*/2") counts as unrestricted.
+const ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES },
+    { name: 'day of week', min: 0, max: 7, names: DAY_NAMES },
+];
+
+const MAX_SEARCH_MINUTES = 366 * 24 * 60;  // Give up looking for the next run after a year
+
+// Expand one field into the Set of values it allows, or null if it is malformed
+const parseField = (text, { min, max, names }) => {
+    const values = new Set();
+    const numeric = names
+        ? text.toLowerCase().replace(/[a-z]+/g, name => (names.includes(name) ? String(names.indexOf(name) + min) : name))
+        : text;
+    const valid = numeric.split(',').every(part => {
+        const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+        if (!match) return false;
+        const step = match[4] ? Number(match[4]) : 1;
+        let start = match[1] === '*' ? min : Number(match[2]);
+        let end = match[1] === '*' ? max : match[3] !== undefined ? Number(match[3]) : start;
+        if (match[1] !== '*' && match[3] === undefined && match[4]) end = max;  // "5/15" = from 5 every 15
+        if (start < min || end > max || start > end || step < 1) return false;
+        for (let value = start; value <= end; value += step) values.add(value);
+        return true;
+    });
+    return valid ? values : null;
+};
+
+// ----------------------------------------------------------------------------
+// Parse an Expression
+// ----------------------------------------------------------------------------
+// Returns { schedule } or { error }. `schedule` keeps the expression for display.
+const parseCron = (expression) => {
+    const text = String(expression || '').trim();
+    const parts = (ALIASES[text] || text).split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        return { error: `"${text}" must have five fields: minute hour day-of-month month day-of-week.` };
+    }
+
+    const sets = [];
+    for (let i = 0; i < FIELDS.length; i++) {
+        const values = parseField(parts[i], FIELDS[i]);
+        if (!values) {
+            return { error: `"${text}" has an invalid ${FIELDS[i].name} field ("${parts[i]}").` };
+        }
+        sets.push(values);
+    }
+
+    // Sunday may be written as 7
+    if (sets[4].has(7)) sets[4].add(0);
+
+    return {
+        schedule: {
+            expression: text,
+            minutes: sets[0],
+            hours: sets[1],
+            daysOfMonth: sets[2],
+            months: sets[3],
+            daysOfWeek: sets[4],
+            anyDayOfMonth: parts[2].startsWith('*'),
+            anyDayOfWeek: parts[4].startsWith('*'),
+        },
+    };
+};
+
+// ----------------------------------------------------------------------------
+// Match and Find the Next Run
+// ----------------------------------------------------------------------------
+const cronMatches = (schedule, date) => {
+    if (!schedule.minutes.has(date.getMinutes()) || !schedule.hours.has(date.getHours())) return false;
+    if (!schedule.months.has(date.getMonth() + 1)) return false;
+
+    const dayOfMonth = schedule.daysOfMonth.has(date.getDate());
+    const dayOfWeek = schedule.daysOfWeek.has(date.getDay());
+    if (schedule.anyDayOfMonth) return dayOfWeek;
+    if (schedule.anyDayOfWeek) return dayOfMonth;
+    return dayOfMonth || dayOfWeek;
+};
+
+// The first matching minute strictly after `from`, or null if none within a year
+const nextCronRun = (schedule, from = new Date()) => {
+    const candidate = new Date(from.getTime());
+    candidate.setSeconds(0, 0);
+    for (let i = 0; i < MAX_SEARCH_MINUTES; i++) {
+        candidate.setMinutes(candidate.getMinutes() + 1);
+        if (cronMatches(schedule, candidate)) return new Date(candidate.getTime());
+    }
+    return null;
+};
+
+module.exports = {
+    parseCron,
+    cronMatches,
+    nextCronRun,
+};
@@ -0,0 +1,63 @@
+// ============================================================================
+// On-Disk Data Store Helpers
+// ============================================================================
+// Small JSON-file persistence layer shared by the server modules.
+// Everything lives under DATA_DIR (mounted as a Docker volume in production)
+// so it survives container restarts.
+const fs = require('fs/promises');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+// Per-file write queues so concurrent writers never interleave on the same file
+const writeQueues = new Map();
+
+// Resolve a path relative to DATA_DIR
+const dataPath = (...segments) => path.join(DATA_DIR, ...segments);
+
+// Read and parse a JSON file, returning `fallback` if it does not exist yet
+const readJsonFile = async (filePath, fallback) => {
+    try {
+        const contents = await fs.readFile(filePath, 'utf8');
+        return JSON.parse(contents);
+    } catch (error) {
+        if (error.code === 'ENOENT') return fallback;
+        throw error;
+    }
+};
+
+// Write a JSON file atomically (write to a temp file, then rename over the target)
+const writeJsonFile = async (filePath, value) => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(value, null, 2));
+    await fs.rename(tempPath, filePath);
+};
+
+// Run a read-modify-write cycle on a JSON file, serialized per file.
+// `update` receives the current value (or `fallback`) and returns the new value.
+const updateJsonFile = (filePath, fallback, update) => {
+    const previous = writeQueues.get(filePath) || Promise.resolve();
+    const next = previous
+        .catch(() => {})  // A failed earlier write must not block later ones
+        .then(async () => {
+            const current = await readJsonFile(filePath, fallback);
+            const updated = await update(current);
+            await writeJsonFile(filePath, updated);
+            return updated;
+        });
+
+    writeQueues.set(filePath, next);
+    next.finally(() => {
+        if (writeQueues.get(filePath) === next) writeQueues.delete(filePath);
+    }).catch(() => {});
+    return next;
+};
+
+module.exports = {
+    DATA_DIR,
+    dataPath,
+    readJsonFile,
+    writeJsonFile,
+    updateJsonFile,
+};
@@ -0,0 +1,147 @@
+// ============================================================================
+// Metrics Digest
+// ============================================================================
+// Renders a weekly summary of one org/enterprise: the dashboard's headline
+// MetricCard numbers for the last 7 days, their change week over week, and the
+// top languages. The same digest comes out as Markdown and as a standalone
+// HTML page (inline styles only, so it also reads well as an email).
+const { comparePeriods, filterMetricsByDate, transformLanguageData } = require('../client/src/shared/metrics');
+
+const DIGEST_DAYS = 7;
+const TOP_LANGUAGES = 5;
+
+const formatNumber = (value) => Math.round(value).toLocaleString('en-US');
+const formatPercent = (value) => `${value.toFixed(1)}%`;
+
+// The MetricCards, in dashboard order; `points` changes are percentage points, not %
+const HEADLINES = [
+    { field: 'acceptance_rate', label: 'Overall Acceptance Rate', format: formatPercent, points: true },
+    { field: 'total_lines_suggested', label: 'Total Lines Suggested', format: formatNumber },
+    { field: 'total_lines_accepted', label: 'Total Lines Accepted', format: formatNumber },
+    { field: 'peak_active_users', label: 'Total Active Users (Daily Max)', format: formatNumber },
+    { field: 'peak_engaged_users', label: 'Engaged Users (Daily Max)', format: formatNumber },
+    { field: 'total_chats', label: 'Total Chats', format: formatNumber },
+    { field: 'chat_insertions', label: 'Code Insertions from Chat', format: formatNumber },
+    { field: 'chat_copies', label: 'Code Copies from Chat', format: formatNumber },
+];
+
+const formatChange = (change, points) => {
+    if (change === null) return 'n/a';
+    const rounded = Math.round(change * 10) / 10;
+    if (rounded === 0) return 'no change';
+    return `${rounded > 0 ? '+' : ''}${rounded.toFixed(1)}${points ? ' pts' : '%'}`;
+};
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Markdown table cells can't contain pipes or newlines
+const escapeMarkdown = (value) => String(value).replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+
+// ----------------------------------------------------------------------------
+// Renderers
+// ----------------------------------------------------------------------------
+const renderMarkdown = (digest) => [
+    `# ${escapeMarkdown(digest.title)}`,
+    '',
+    `${digest.since} to ${digest.until}, compared with the previous ${DIGEST_DAYS} days.`,
+    '',
+    '| Metric | This week | Change |',
+    '| --- | ---: | ---: |',
+    ...digest.headlines.map(row => `| ${row.label} | ${row.value} | ${row.change} |`),
+    '',
+    '## Top languages',
+    '',
+    ...(digest.languages.length > 0
+        ? ['| Language | Lines accepted | Share |', '| --- | ---: | ---: |',
+            ...digest.languages.map(row => `| ${escapeMarkdown(row.name)} | ${formatNumber(row.lines_accepted)} | ${formatPercent(row.share)} |`)]
+        : ['No accepted suggestions this week.']),
+    '',
+    `_Generated ${digest.generatedAt}_`,
+    '',
+].join('\n');
+
+const CELL = 'padding:6px 12px;border-bottom:1px solid #e5e7eb;';
+
+const renderHtml = (digest) => {
+    const headlineRows = digest.headlines.map(row => (
+        `<tr><td style="${CELL}">${row.label}</td><td style="${CELL}text-align:right;font-weight:600;">${row.value}</td>`
+        + `<td style="${CELL}text-align:right;color:${row.trend < 0 ? '#b91c1c' : row.trend > 0 ? '#15803d' : '#6b7280'};">${row.change}</td></tr>`
+    )).join('\n');
+    const languageRows = digest.languages.map(row => (
+        `<tr><td style="${CELL}">${escapeHtml(row.name)}</td><td style="${CELL}text-align:right;">${formatNumber(row.lines_accepted)}</td>`
+        + `<td style="${CELL}text-align:right;">${formatPercent(row.share)}</td></tr>`
+    )).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(digest.title)}</title>
+</head>
+<body style="font-family:-apple-system,'Segoe UI',Helvetica,Arial,sans-serif;color:#111827;background:#f9fafb;margin:0;padding:24px;">
+<div style="max-width:640px;margin:0 auto;background:#ffffff;border:1px solid #e5e7eb;border-radius:8px;padding:24px;">
+<h1 style="font-size:20px;margin:0 0 4px;">${escapeHtml(digest.title)}</h1>
+<p style="color:#6b7280;margin:0 0 16px;">${digest.since} to ${digest.until}, compared with the previous ${DIGEST_DAYS} days.</p>
+<table style="width:100%;border-collapse:collapse;font-size:14px;">
+<tr><th style="${CELL}text-align:left;">Metric</th><th style="${CELL}text-align:right;">This week</th><th style="${CELL}text-align:right;">Change</th></tr>
+${headlineRows}
+</table>
+<h2 style="font-size:16px;margin:24px 0 8px;">Top languages</h2>
+${digest.languages.length > 0
+        ? `<table style="width:100%;border-collapse:collapse;font-size:14px;">
+<tr><th style="${CELL}text-align:left;">Language</th><th style="${CELL}text-align:right;">Lines accepted</th><th style="${CELL}text-align:right;">Share</th></tr>
+${languageRows}
+</table>`
+        : '<p>No accepted suggestions this week.</p>'}
+<p style="color:#9ca3af;font-size:12px;margin-top:24px;">Generated ${digest.generatedAt}</p>
+</div>
+</body>
+</html>
+`;
+};
+
+// ----------------------------------------------------------------------------
+// Build Digest
+// ----------------------------------------------------------------------------
+// Input: daily metrics (GitHub API shape) and the name of what they describe
+// Output: { title, since, until, generatedAt, headlines, languages, markdown, html },
+//         or null when there are no metrics to summarize
+const buildDigest = (metrics, { target, generatedAt = new Date().toISOString() }) => {
+    const comparison = comparePeriods(metrics, DIGEST_DAYS);
+    if (!comparison) return null;
+
+    const week = filterMetricsByDate(metrics, { since: comparison.since, until: comparison.until });
+    const languages = transformLanguageData(week);
+    const totalAccepted = languages.reduce((total, language) => total + language.value, 0);
+
+    const digest = {
+        title: `Copilot weekly digest — ${target}`,
+        since: comparison.since,
+        until: comparison.until,
+        generatedAt,
+        headlines: HEADLINES.map(headline => ({
+            field: headline.field,
+            label: headline.label,
+            value: headline.format(comparison.current[headline.field]),
+            change: formatChange(comparison.changes[headline.field], headline.points),
+            trend: comparison.changes[headline.field] || 0,
+        })),
+        languages: languages.slice(0, TOP_LANGUAGES).map(language => ({
+            name: language.name,
+            lines_accepted: language.value,
+            share: totalAccepted > 0 ? (language.value / totalAccepted) * 100 : 0,
+        })),
+    };
+    digest.markdown = renderMarkdown(digest);
+    digest.html = renderHtml(digest);
+    return digest;
+};
+
+module.exports = {
+    DIGEST_DAYS,
+    buildDigest,
+};
@@ -0,0 +1,127 @@
+// ============================================================================
+// Dashboard Data Export
+// ============================================================================
+// Turns raw Copilot metrics into the same series the dashboard charts show
+// (via the shared transforms) and renders them as CSV, JSON or XLSX.
+const ExcelJS = require('exceljs');
+const { parseSource } = require('./queryParams');
+const {
+    transformDailyMetrics, transformLanguageData, transformChatMetrics,
+    transformFeatureEngagement, transformPullRequestData, flattenMetricRows, transformEditorData, transformModelData
+} = require('../client/src/shared/metrics');
+
+// Datasets that can be exported; each matches a dashboard chart (plus the raw rows)
+const EXPORT_DATASETS = {
+    daily: { label: 'Daily Code Volume', build: transformDailyMetrics },
+    languages: { label: 'Languages', build: transformLanguageData },
+    chat: { label: 'Daily Chats', build: transformChatMetrics },
+    engagement: { label: 'Engaged Users', build: transformFeatureEngagement },
+    pull_requests: { label: 'PR Summaries', build: transformPullRequestData },
+    editors: { label: 'Editors', build: transformEditorData },
+    models: { label: 'Models', build: transformModelData },
+    raw: { label: 'Editor Model Language', build: flattenMetricRows },
+};
+
+const EXPORT_FORMATS = ['csv', 'json', 'xlsx'];
+
+// ----------------------------------------------------------------------------
+// Parse Export Query
+// ----------------------------------------------------------------------------
+// Query: ?dataset=daily&format=csv&source=live (all optional, these are the defaults)
+// Returns { dataset, format, source } on success or { error } describing the first problem found.
+const parseExportQuery = (query) => {
+    const dataset = query.dataset || 'daily';
+    const format = query.format || 'csv';
+
+    if (!EXPORT_DATASETS[dataset]) {
+        return { error: `\`dataset\` must be one of: ${Object.keys(EXPORT_DATASETS).join(', ')}.` };
+    }
+    if (!EXPORT_FORMATS.includes(format)) {
+        return { error: `\`format\` must be one of: ${EXPORT_FORMATS.join(', ')}.` };
+    }
+    const { source, error } = parseSource(query.source);
+    if (error) {
+        return { error };
+    }
+
+    return { dataset, format, source };
+};
+
+// Build the rows for one dataset from raw daily metrics
+const buildExportRows = (metrics, dataset) => EXPORT_DATASETS[dataset].build(metrics);
+
+// Column names in first-seen order across all rows
+const collectColumns = (rows) => {
+    const columns = [];
+    rows.forEach(row => {
+        Object.keys(row).forEach(key => {
+            if (!columns.includes(key)) columns.push(key);
+        });
+    });
+    return columns;
+};
+
+// ----------------------------------------------------------------------------
+// CSV
+// ----------------------------------------------------------------------------
+// Quotes values containing separators, and prefixes values that a spreadsheet
+// would evaluate as a formula (=, +, -, @) so exported names can't run code.
+const csvValue = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => {
+    const columns = collectColumns(rows);
+    const lines = [columns.join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(column => csvValue(row[column])).join(','));
+    });
+    return `${lines.join('\r\n')}\r\n`;
+};
+
+// ----------------------------------------------------------------------------
+// XLSX
+// ----------------------------------------------------------------------------
+const toXlsx = async (rows, sheetName) => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet(sheetName);
+    const columns = collectColumns(rows);
+
+    sheet.columns = columns.map(column => ({ header: column, key: column, width: Math.max(12, column.length + 2) }));
+    sheet.getRow(1).font = { bold: true };
+    rows.forEach(row => sheet.addRow(row));
+
+    return workbook.xlsx.writeBuffer();
+};
+
+// ----------------------------------------------------------------------------
+// Render an Export
+// ----------------------------------------------------------------------------
+// Returns { body, contentType, extension } ready to send as a download
+const renderExport = async (rows, dataset, format) => {
+    if (format === 'json') {
+        return { body: JSON.stringify(rows, null, 2), contentType: 'application/json', extension: 'json' };
+    }
+    if (format === 'xlsx') {
+        return {
+            body: Buffer.from(await toXlsx(rows, EXPORT_DATASETS[dataset].label)),
+            contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            extension: 'xlsx',
+        };
+    }
+    return { body: toCsv(rows), contentType: 'text/csv; charset=utf-8', extension: 'csv' };
+};
+
+module.exports = {
+    EXPORT_DATASETS,
+    EXPORT_FORMATS,
+    parseExportQuery,
+    buildExportRows,
+    toCsv,
+    renderExport,
+};
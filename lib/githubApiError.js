@@ -0,0 +1,31 @@
+// ============================================================================
+// GitHub API Error
+// ============================================================================
+// Structured error for any failed GitHub call (API requests and GitHub App token
+// exchanges), so routes can always answer the browser with a useful JSON body.
+// status: HTTP status to send to the browser (GitHub's own, or 502/504 for network/timeouts)
+class GitHubApiError extends Error {
+    constructor(message, { status, details = null, rateLimit = null, retryAfter = null } = {}) {
+        super(message);
+        this.name = 'GitHubApiError';
+        this.status = status;
+        this.details = details;
+        this.rateLimit = rateLimit;
+        this.retryAfter = retryAfter;
+    }
+
+    // Body sent to the browser
+    toJSON() {
+        return {
+            error: this.message,
+            status: this.status,
+            details: this.details,
+            rateLimit: this.rateLimit,
+            retryAfter: this.retryAfter,
+        };
+    }
+}
+
+module.exports = {
+    GitHubApiError,
+};
@@ -0,0 +1,129 @@
+// ============================================================================
+// GitHub App Authentication
+// ============================================================================
+// Profiles can authenticate as a GitHub App installation instead of with a
+// personal access token:
+//   1. sign a short-lived JWT (RS256) with the app's private key
+//   2. exchange it for an installation access token (valid for one hour)
+//   3. reuse that token until shortly before it expires, then fetch a new one
+// Profile fields: { authType: 'app', appId, installationId, privateKey }
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { GitHubApiError } = require('./githubApiError');
+const { recordGitHubRequest } = require('./prometheus');
+
+// Used by profiles without their own apiBaseUrl; GITHUB_API_URL points every such profile
+// at GitHub Enterprise Server, a proxy or the bundled mock API (see lib/mockGitHub.js)
+const DEFAULT_API_BASE_URL = (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '');
+const REQUEST_TIMEOUT_MS = Number(process.env.GITHUB_TIMEOUT_MS) || 10000;
+const JWT_LIFETIME_SECONDS = 9 * 60;      // GitHub rejects app JWTs valid for more than 10 minutes
+const CLOCK_DRIFT_SECONDS = 60;           // Backdate `iat` in case this clock runs ahead of GitHub's
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;  // Renew installation tokens this long before they expire
+
+const usesAppAuth = (profile) => profile.authType === 'app';
+
+// ----------------------------------------------------------------------------
+// Private Key and JWT
+// ----------------------------------------------------------------------------
+// True if `pem` is an RSA private key, i.e. the .pem file GitHub generates for an app
+const isValidPrivateKey = (pem) => {
+    try {
+        return crypto.createPrivateKey(pem).asymmetricKeyType === 'rsa';
+    } catch (error) {
+        return false;
+    }
+};
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+// The app's own credential; only accepted by the /app endpoints
+const createAppJwt = (appId, privateKey) => {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({ iat: now - CLOCK_DRIFT_SECONDS, exp: now + JWT_LIFETIME_SECONDS, iss: String(appId) }));
+    const signature = crypto.createSign('RSA-SHA256').update(`${header}.${payload}`).sign(privateKey);
+    return `${header}.${payload}.${base64url(signature)}`;
+};
+
+// ----------------------------------------------------------------------------
+// Installation Tokens
+// ----------------------------------------------------------------------------
+// Cached per API base URL + app + installation: { token, expiresAt (ms) }
+const installationTokens = new Map();
+const pendingRequests = new Map();  // Same key → in-flight exchange, so concurrent calls share one
+
+const installationKey = (profile) => `${profile.apiBaseUrl || DEFAULT_API_BASE_URL} ${profile.appId} ${profile.installationId}`;
+
+// Explain a failed token exchange in terms of what the admin has to fix
+const describeExchangeFailure = (status, profile) => {
+    if (status === 401) return 'GitHub rejected the GitHub App credentials (check the App ID and private key).';
+    if (status === 404) return `GitHub App installation ${profile.installationId} was not found for App ${profile.appId}.`;
+    return `GitHub responded with ${status} when creating a GitHub App installation token.`;
+};
+
+// POST /app/installations/{id}/access_tokens with a fresh JWT
+const requestInstallationToken = async (profile) => {
+    const baseUrl = profile.apiBaseUrl || DEFAULT_API_BASE_URL;
+    const url = `${baseUrl}/app/installations/${profile.installationId}/access_tokens`;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    const started = Date.now();
+
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${createAppJwt(profile.appId, profile.privateKey)}`,
+                'Accept': 'application/vnd.github+json',
+                'X-GitHub-Api-Version': '2022-11-28'
+            },
+            signal: controller.signal,
+        });
+        recordGitHubRequest(url, response.status, (Date.now() - started) / 1000);
+    } catch (error) {
+        recordGitHubRequest(url, error.name === 'AbortError' ? 'timeout' : 'network', (Date.now() - started) / 1000);
+        if (error.name === 'AbortError') {
+            throw new GitHubApiError(`Gateway Timeout: Request to GitHub API timed out (${REQUEST_TIMEOUT_MS / 1000}s limit).`, { status: 504 });
+        }
+        throw new GitHubApiError('Bad Gateway: Could not reach the GitHub API.', { status: 502, details: error.message });
+    } finally {
+        clearTimeout(timeoutId);
+    }
+
+    if (!response.ok) {
+        const details = await response.text();
+        console.error(`GitHub App token exchange failed (${response.status}): ${details}`);
+        throw new GitHubApiError(describeExchangeFailure(response.status, profile), { status: response.status, details });
+    }
+
+    const body = await response.json();
+    const expiresAt = Date.parse(body.expires_at);
+    installationTokens.set(installationKey(profile), { token: body.token, expiresAt });
+    console.log(`Created an installation token for GitHub App ${profile.appId} (installation ${profile.installationId}), valid until ${body.expires_at}.`);
+    return body.token;
+};
+
+// Resolves with a usable installation token, exchanging a new JWT when the cached
+// one is missing, about to expire, or `forceRefresh` is set (e.g. after a 401).
+const getInstallationToken = (profile, { forceRefresh = false } = {}) => {
+    const key = installationKey(profile);
+    const cached = installationTokens.get(key);
+    if (!forceRefresh && cached && cached.expiresAt - Date.now() > REFRESH_MARGIN_MS) {
+        return Promise.resolve(cached.token);
+    }
+
+    if (!pendingRequests.has(key)) {
+        const request = requestInstallationToken(profile).finally(() => pendingRequests.delete(key));
+        pendingRequests.set(key, request);
+    }
+    return pendingRequests.get(key);
+};
+
+module.exports = {
+    DEFAULT_API_BASE_URL,
+    usesAppAuth,
+    isValidPrivateKey,
+    createAppJwt,
+    getInstallationToken,
+};
@@ -0,0 +1,243 @@
+// ============================================================================
+// GitHub API Client
+// ============================================================================
+// Every GitHub call the server makes goes through this module. It adds:
+//   - a response cache per credential + URL, revalidated with ETag / If-None-Match
+//     (304 responses don't count against the rate limit)
+//   - retries with backoff for rate limits (X-RateLimit-Remaining / Retry-After)
+//     and transient 5xx / network failures
+//   - Link header pagination
+//   - structured errors (GitHubApiError) so routes can always answer the browser
+//   - PAT or GitHub App installation token authentication (see lib/githubAppAuth.js)
+//   - latency and status counts for the Prometheus exporter (see lib/prometheus.js)
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { GitHubApiError } = require('./githubApiError');
+const { DEFAULT_API_BASE_URL, usesAppAuth, getInstallationToken } = require('./githubAppAuth');
+const { recordGitHubRequest } = require('./prometheus');
+
+const REQUEST_TIMEOUT_MS = Number(process.env.GITHUB_TIMEOUT_MS) || 10000;
+const CACHE_TTL_MS = Number(process.env.GITHUB_CACHE_TTL_MS) || 60 * 1000;
+const MAX_RETRIES = Number(process.env.GITHUB_MAX_RETRIES) || 3;
+const MAX_RETRY_WAIT_MS = 60 * 1000;  // Never sleep longer than this for a rate limit
+const MAX_CACHE_ENTRIES = 500;
+const MAX_PAGES = 50;
+
+// ----------------------------------------------------------------------------
+// Response Cache
+// ----------------------------------------------------------------------------
+// Keyed by a hash of the credentials plus the full URL, so profiles never share entries.
+// Entries: { etag, data, headers, fetchedAt }. Oldest entries are evicted first.
+const cache = new Map();
+
+// GitHub App installation tokens rotate hourly, so App profiles are keyed by installation instead
+const credentialId = (profile) => (usesAppAuth(profile) ? `app:${profile.appId}:${profile.installationId}` : profile.token);
+
+const cacheKey = (profile, url) => `${crypto.createHash('sha256').update(credentialId(profile)).digest('hex').slice(0, 16)} ${url}`;
+
+const storeInCache = (key, entry) => {
+    cache.delete(key);  // Re-insert so Map order tracks recency
+    cache.set(key, entry);
+    if (cache.size > MAX_CACHE_ENTRIES) {
+        cache.delete(cache.keys().next().value);
+    }
+};
+
+const clearCache = () => cache.clear();
+
+// ----------------------------------------------------------------------------
+// Header Helpers
+// ----------------------------------------------------------------------------
+const readRateLimit = (headers) => {
+    if (!headers.has('x-ratelimit-remaining')) return null;
+    return {
+        limit: Number(headers.get('x-ratelimit-limit')),
+        remaining: Number(headers.get('x-ratelimit-remaining')),
+        reset: Number(headers.get('x-ratelimit-reset')),  // Unix seconds
+    };
+};
+
+// How long GitHub asked us to wait before retrying, in ms (null if it didn't)
+const retryDelayFromHeaders = (headers) => {
+    const retryAfter = headers.get('retry-after');
+    if (retryAfter && /^\d+$/.test(retryAfter)) {
+        return Number(retryAfter) * 1000;
+    }
+    const rateLimit = readRateLimit(headers);
+    if (rateLimit && rateLimit.remaining === 0 && rateLimit.reset) {
+        return Math.max(0, rateLimit.reset * 1000 - Date.now()) + 1000;
+    }
+    return null;
+};
+
+// Parse a Link header into { next: url, last: url, ... }
+const parseLinkHeader = (header) => {
+    const links = {};
+    if (!header) return links;
+    header.split(',').forEach(part => {
+        const match = part.match(/<([^>]+)>;\s*rel="([^"]+)"/);
+        if (match) links[match[2]] = match[1];
+    });
+    return links;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ----------------------------------------------------------------------------
+// Single Attempt
+// ----------------------------------------------------------------------------
+// One HTTP request with a timeout. Network failures become GitHubApiErrors (504/502).
+const attemptFetch = async (url, headers) => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    const started = Date.now();
+
+    try {
+        const response = await fetch(url, { method: 'GET', headers, signal: controller.signal });
+        recordGitHubRequest(url, response.status, (Date.now() - started) / 1000);
+        return response;
+    } catch (error) {
+        recordGitHubRequest(url, error.name === 'AbortError' ? 'timeout' : 'network', (Date.now() - started) / 1000);
+        if (error.name === 'AbortError') {
+            throw new GitHubApiError(`Gateway Timeout: Request to GitHub API timed out (${REQUEST_TIMEOUT_MS / 1000}s limit).`, { status: 504 });
+        }
+        throw new GitHubApiError('Bad Gateway: Could not reach the GitHub API.', { status: 502, details: error.message });
+    } finally {
+        clearTimeout(timeoutId);
+    }
+};
+
+// Bearer token for a request: the profile's PAT, or a cached GitHub App installation token
+// (renewed shortly before it expires, or right away with `forceRefresh`)
+const resolveToken = async (profile, forceRefresh = false) => (
+    usesAppAuth(profile) ? getInstallationToken(profile, { forceRefresh }) : profile.token
+);
+
+// ----------------------------------------------------------------------------
+// GET with Cache, Conditional Requests and Retries
+// ----------------------------------------------------------------------------
+// `target` is a path ("/orgs/acme/copilot/metrics") or an absolute URL (Link pagination).
+// Options: { params: URLSearchParams, cache: true }
+// Resolves with { data, headers: { link, scopes, tokenExpiration }, fromCache }; rejects with GitHubApiError.
+const githubGet = async (profile, target, { params, cache: useCache = true } = {}) => {
+    const baseUrl = profile.apiBaseUrl || DEFAULT_API_BASE_URL;
+    const queryString = params ? params.toString() : '';
+    const url = /^https?:\/\//.test(target) ? target : `${baseUrl}${target}${queryString ? `?${queryString}` : ''}`;
+    const key = cacheKey(profile, url);
+    const cached = useCache ? cache.get(key) : null;
+
+    // Fresh cache entries are served without touching GitHub at all
+    if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+        return { data: cached.data, headers: cached.headers, fromCache: true };
+    }
+
+    const headers = {
+        'Authorization': `Bearer ${await resolveToken(profile)}`,  // Authenticate with the profile's credentials
+        'Accept': 'application/vnd.github+json',        // Request JSON response
+        'X-GitHub-Api-Version': '2022-11-28'            // Specify API version
+    };
+    if (cached && cached.etag) {
+        headers['If-None-Match'] = cached.etag;  // Stale entry: ask GitHub whether it changed
+    }
+
+    let tokenRefreshed = false;
+    for (let attempt = 0; ; attempt++) {
+        let response;
+        try {
+            response = await attemptFetch(url, headers);
+        } catch (error) {
+            // Network failures and timeouts are retried with exponential backoff
+            if (attempt < MAX_RETRIES) {
+                await sleep(500 * 2 ** attempt);
+                continue;
+            }
+            throw error;
+        }
+
+        // 304 Not Modified: the cached body is still current
+        if (response.status === 304 && cached) {
+            storeInCache(key, { ...cached, fetchedAt: Date.now() });
+            return { data: cached.data, headers: cached.headers, fromCache: true };
+        }
+
+        if (response.ok) {
+            let data;
+            try {
+                data = await response.json();
+            } catch (parseError) {
+                throw new GitHubApiError('Bad Gateway: GitHub API returned invalid JSON.', { status: 502, details: parseError.message });
+            }
+            const responseHeaders = {
+                link: response.headers.get('link'),
+                scopes: response.headers.get('x-oauth-scopes'),  // Classic PATs only
+                tokenExpiration: response.headers.get('github-authentication-token-expiration'),
+            };
+            if (useCache) {
+                storeInCache(key, { etag: response.headers.get('etag'), data, headers: responseHeaders, fetchedAt: Date.now() });
+            }
+            return { data, headers: responseHeaders, fromCache: false };
+        }
+
+        // An installation token revoked before its expiry: fetch a new one and try once more
+        if (response.status === 401 && usesAppAuth(profile) && !tokenRefreshed) {
+            tokenRefreshed = true;
+            headers['Authorization'] = `Bearer ${await resolveToken(profile, true)}`;
+            continue;
+        }
+
+        // Rate limited (primary limits use 403 + remaining 0, secondary limits use Retry-After / 429)
+        const retryDelay = retryDelayFromHeaders(response.headers);
+        const rateLimited = response.status === 429 || (response.status === 403 && retryDelay !== null);
+        const transient = response.status >= 500;
+
+        if ((rateLimited || transient) && attempt < MAX_RETRIES) {
+            const wait = rateLimited ? retryDelay || 1000 * 2 ** attempt : 500 * 2 ** attempt;
+            if (wait <= MAX_RETRY_WAIT_MS) {
+                console.warn(`GitHub API ${response.status} for ${url}; retrying in ${Math.ceil(wait / 1000)}s.`);
+                await sleep(wait);
+                continue;
+            }
+        }
+
+        // Give up: turn the response into a structured error
+        const details = await response.text();
+        console.error(`GitHub API Error (${response.status}): ${details}`);
+        throw new GitHubApiError(
+            rateLimited ? 'GitHub API rate limit exceeded. Try again later.' : `GitHub API responded with ${response.status}.`,
+            {
+                status: response.status,
+                details,
+                rateLimit: readRateLimit(response.headers),
+                retryAfter: retryDelay !== null ? Math.ceil(retryDelay / 1000) : null,
+            }
+        );
+    }
+};
+
+// ----------------------------------------------------------------------------
+// Paginated GET
+// ----------------------------------------------------------------------------
+// Follows rel="next" Link headers and concatenates the items of every page.
+// `pickItems` extracts the page's array from the body (e.g. body => body.seats).
+const githubGetAll = async (profile, apiPath, pickItems = body => body) => {
+    const items = [];
+    let target = apiPath;
+    let params = new URLSearchParams({ per_page: '100' });
+
+    for (let page = 0; target && page < MAX_PAGES; page++) {
+        const { data, headers } = await githubGet(profile, target, { params });
+        items.push(...(pickItems(data) || []));
+        target = parseLinkHeader(headers.link).next;
+        params = null;  // The next URL already carries its query string
+    }
+    return items;
+};
+
+module.exports = {
+    DEFAULT_API_BASE_URL,
+    GitHubApiError,
+    githubGet,
+    githubGetAll,
+    parseLinkHeader,
+    clearCache,
+};
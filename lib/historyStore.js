@@ -0,0 +1,52 @@
+// ============================================================================
+// Metrics History Store
+// ============================================================================
+// GitHub's Copilot metrics API only returns the most recent 28 days.
+// This module keeps every day we have fetched so trends survive the rolling window.
+// Layout: <DATA_DIR>/history/<key>.json → { key, updated_at, days: { "YYYY-MM-DD": {...} } }
+// A key is an org name, "enterprise:<slug>", or either followed by "/team/<slug>" (see lib/metricsScope.js).
+const { dataPath, readJsonFile, updateJsonFile } = require('./dataStore');
+
+// One file per key; the name is URI-encoded so it is always filesystem-safe
+const historyFile = (key) => dataPath('history', `${encodeURIComponent(key.toLowerCase())}.json`);
+
+const emptyHistory = (key) => ({ key, updated_at: null, days: {} });
+
+// ----------------------------------------------------------------------------
+// Upsert Daily Records
+// ----------------------------------------------------------------------------
+// Input: history key and the array returned by a /copilot/metrics endpoint
+// Each record is keyed by its `date`; newer fetches overwrite older copies of the same day.
+// Returns the number of days written.
+const upsertDays = async (key, metrics) => {
+    if (!Array.isArray(metrics)) return 0;
+    const records = metrics.filter(day => day && typeof day.date === 'string');
+    if (records.length === 0) return 0;
+
+    await updateJsonFile(historyFile(key), emptyHistory(key), (history) => {
+        records.forEach(day => {
+            history.days[day.date] = day;
+        });
+        history.updated_at = new Date().toISOString();
+        return history;
+    });
+    return records.length;
+};
+
+// ----------------------------------------------------------------------------
+// Read Stored History
+// ----------------------------------------------------------------------------
+// Returns the stored daily records between `since` and `until` (inclusive, YYYY-MM-DD),
+// sorted chronologically, in the same shape as the GitHub API response.
+const readHistory = async (key, { since, until } = {}) => {
+    const history = await readJsonFile(historyFile(key), emptyHistory(key));
+    return Object.keys(history.days)
+        .filter(date => (!since || date >= since) && (!until || date <= until))
+        .sort()
+        .map(date => history.days[date]);
+};
+
+module.exports = {
+    upsertDays,
+    readHistory,
+};
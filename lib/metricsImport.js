@@ -0,0 +1,101 @@
+// ============================================================================
+// Metrics File Import
+// ============================================================================
+// Validates a saved Copilot metrics file (the JSON array returned by
+// /api/copilot-metrics or /api/history) so the dashboard can show it offline,
+// without a token or org access.
+const { isValidDate } = require('./queryParams');
+const { validateMetrics } = require('./metricsSchema');
+
+const MAX_IMPORT_DAYS = 3660;  // Ten years of daily rows
+const MAX_LISTED_PROBLEMS = 3;  // Schema problems quoted in the error message
+
+// Top-level counters every day carries
+const COUNT_FIELDS = ['total_active_users', 'total_engaged_users'];
+
+// Feature sections and the list each one nests its breakdown in
+const SECTION_LISTS = {
+    copilot_ide_code_completions: 'editors',
+    copilot_ide_chat: 'editors',
+    copilot_dotcom_chat: 'models',
+    copilot_dotcom_pull_requests: 'repositories',
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+// Returns an error message for one day, or null if it looks like GitHub's day shape
+const validateDay = (day, label) => {
+    if (!isPlainObject(day)) {
+        return `${label} is not an object.`;
+    }
+    if (!isValidDate(day.date)) {
+        return `${label} needs a \`date\` in YYYY-MM-DD format.`;
+    }
+
+    const badCount = COUNT_FIELDS.find(field => day[field] !== undefined && !isCount(day[field]));
+    if (badCount) {
+        return `${label} (${day.date}): \`${badCount}\` must be a non-negative integer.`;
+    }
+
+    const badSection = Object.keys(SECTION_LISTS).find(section => {
+        const value = day[section];
+        if (value === undefined || value === null) return false;
+        const list = value[SECTION_LISTS[section]];
+        return !isPlainObject(value) || (list !== undefined && !Array.isArray(list));
+    });
+    if (badSection) {
+        return `${label} (${day.date}): \`${badSection}\` does not match the Copilot metrics format.`;
+    }
+    return null;
+};
+
+// ----------------------------------------------------------------------------
+// Parse Import Payload
+// ----------------------------------------------------------------------------
+// Input: the parsed JSON body of an uploaded file
+// Output: { metrics, summary: { days, since, until }, warnings } with days sorted by date
+//         and the remaining data-quality warnings, or { error } describing the first
+//         problems found (nested values that don't match the schema are rejected too)
+const parseImportPayload = (payload) => {
+    if (!Array.isArray(payload)) {
+        return { error: 'Expected a JSON array of daily Copilot metrics (as saved from the dashboard or /api/copilot-metrics).' };
+    }
+    if (payload.length === 0) {
+        return { error: 'The file does not contain any days.' };
+    }
+    if (payload.length > MAX_IMPORT_DAYS) {
+        return { error: `The file contains more than ${MAX_IMPORT_DAYS} days.` };
+    }
+
+    const seenDates = new Set();
+    for (let i = 0; i < payload.length; i++) {
+        const error = validateDay(payload[i], `Day ${i + 1}`);
+        if (error) {
+            return { error };
+        }
+        if (seenDates.has(payload[i].date)) {
+            return { error: `The file contains ${payload[i].date} more than once.` };
+        }
+        seenDates.add(payload[i].date);
+    }
+
+    const metrics = [...payload].sort((a, b) => a.date.localeCompare(b.date));
+    const { warnings } = validateMetrics(metrics);
+    const schemaWarning = warnings.find(item => item.code === 'schema');
+    if (schemaWarning) {
+        const shown = schemaWarning.items.slice(0, MAX_LISTED_PROBLEMS);
+        const more = schemaWarning.count - shown.length;
+        return { error: `The file does not match the Copilot metrics format: ${shown.join('; ')}${more > 0 ? ` (and ${more} more)` : ''}.` };
+    }
+    return {
+        metrics,
+        summary: { days: metrics.length, since: metrics[0].date, until: metrics[metrics.length - 1].date },
+        warnings,
+    };
+};
+
+module.exports = {
+    MAX_IMPORT_DAYS,
+    parseImportPayload,
+};
@@ -0,0 +1,210 @@
+// ============================================================================
+// Metrics Schema and Data-Quality Warnings
+// ============================================================================
+// Every metrics payload the server hands out (live, stored history, share links,
+// imported files) is checked against the shape of GitHub's Copilot metrics response,
+// so that odd data is flagged instead of silently charted as zeros or drops in usage:
+//   schema           values of the wrong type, e.g. a string where a count belongs
+//   unknown_fields   fields the schema doesn't know (not shown on the dashboard)
+//   no_data          no days at all (e.g. a team too small for GitHub to report)
+//   missing_days     days without data inside the requested range
+//   below_threshold  days with fewer than five active users, which GitHub reports
+//                    incompletely or leaves out
+// Warnings never block a response: [{ code, message, count, items }], where `items`
+// holds at most MAX_ITEMS examples (dates, date ranges or field paths).
+const { isValidDate } = require('./queryParams');
+
+// The GitHub REST API version the schema describes (the version the client requests);
+// bump it together with METRICS_SCHEMA when GitHub changes the response
+const METRICS_SCHEMA_VERSION = '2022-11-28';
+const REPORTING_THRESHOLD = 5;
+const MAX_ITEMS = 10;
+
+// ----------------------------------------------------------------------------
+// Schema
+// ----------------------------------------------------------------------------
+// A field is a type name, an object ({ fields, required }) or a list ({ list: item }).
+// Optional fields may be missing or null; GitHub leaves out sections nobody used.
+const object = (fields, required = []) => ({ fields, required });
+const list = (item) => ({ list: item });
+
+const named = (fields) => object({ name: 'string', total_engaged_users: 'count', ...fields }, ['name']);
+const model = (fields) => named({ is_custom_model: 'boolean', custom_model_training_date: 'string', ...fields });
+
+const METRICS_SCHEMA = object({
+    date: 'date',
+    total_active_users: 'count',
+    total_engaged_users: 'count',
+    copilot_ide_code_completions: object({
+        total_engaged_users: 'count',
+        languages: list(named({})),
+        editors: list(named({
+            models: list(model({
+                languages: list(named({
+                    total_code_suggestions: 'count',
+                    total_code_acceptances: 'count',
+                    total_code_lines_suggested: 'count',
+                    total_code_lines_accepted: 'count',
+                })),
+            })),
+        })),
+    }),
+    copilot_ide_chat: object({
+        total_engaged_users: 'count',
+        editors: list(named({
+            models: list(model({
+                total_chats: 'count',
+                total_chat_insertion_events: 'count',
+                total_chat_copy_events: 'count',
+            })),
+        })),
+    }),
+    copilot_dotcom_chat: object({
+        total_engaged_users: 'count',
+        models: list(model({ total_chats: 'count' })),
+    }),
+    copilot_dotcom_pull_requests: object({
+        total_engaged_users: 'count',
+        repositories: list(named({
+            models: list(model({ total_pr_summaries_created: 'count' })),
+        })),
+    }),
+}, ['date']);
+
+const TYPE_CHECKS = {
+    count: { test: value => Number.isInteger(value) && value >= 0, label: 'a non-negative integer' },
+    string: { test: value => typeof value === 'string', label: 'a string' },
+    boolean: { test: value => typeof value === 'boolean', label: 'true or false' },
+    date: { test: isValidDate, label: 'a date in YYYY-MM-DD format' },
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Walk one value against its schema. `path` names the value for messages ("editors[2].name"),
+// `shape` is the same path without indexes, so unknown fields are reported once per place.
+const checkValue = (value, schema, path, shape, found) => {
+    if (typeof schema === 'string') {
+        if (!TYPE_CHECKS[schema].test(value)) found.problems.push(`${path} should be ${TYPE_CHECKS[schema].label}`);
+        return;
+    }
+    if (schema.list) {
+        if (!Array.isArray(value)) return found.problems.push(`${path} should be a list`);
+        value.forEach((item, i) => checkValue(item, schema.list, `${path}[${i}]`, `${shape}[]`, found));
+        return;
+    }
+    if (!isPlainObject(value)) return found.problems.push(`${path} should be an object`);
+
+    const prefix = (name) => (path ? `${path}.${name}` : name);
+    schema.required.forEach(name => {
+        if (value[name] === undefined || value[name] === null) found.problems.push(`${prefix(name)} is missing`);
+    });
+    Object.keys(value).forEach(name => {
+        const fieldShape = shape ? `${shape}.${name}` : name;
+        if (!schema.fields[name]) {
+            found.unknown.add(fieldShape);
+        } else if (value[name] !== undefined && value[name] !== null) {
+            checkValue(value[name], schema.fields[name], prefix(name), fieldShape, found);
+        }
+    });
+};
+
+// ----------------------------------------------------------------------------
+// Date Helpers
+// ----------------------------------------------------------------------------
+const nextDate = (date) => {
+    const next = new Date(`${date}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    return next.toISOString().slice(0, 10);
+};
+
+// GitHub never has data for today, so an open-ended range stops at yesterday (UTC)
+const yesterday = () => new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+// Collapse sorted dates into runs: ["2025-01-04", "2025-01-06 to 2025-01-08"]
+const dateRuns = (dates) => {
+    const runs = [];
+    dates.forEach(date => {
+        const last = runs[runs.length - 1];
+        if (last && nextDate(last.until) === date) {
+            last.until = date;
+        } else {
+            runs.push({ since: date, until: date });
+        }
+    });
+    return runs.map(run => (run.since === run.until ? run.since : `${run.since} to ${run.until}`));
+};
+
+// `count` is the number of affected days/values/fields (missing days are listed as runs)
+const warning = (code, message, items, count = items.length) => ({ code, message, count, items: items.slice(0, MAX_ITEMS) });
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+// ----------------------------------------------------------------------------
+// Validate a Metrics Payload
+// ----------------------------------------------------------------------------
+// Input: the metrics array and the range that was asked for ({ since, until }, YYYY-MM-DD,
+//        either may be missing: the range then starts or ends with the data)
+// Output: { schemaVersion, warnings }
+const validateMetrics = (metrics, range = {}) => {
+    if (!Array.isArray(metrics)) {
+        return {
+            schemaVersion: METRICS_SCHEMA_VERSION,
+            warnings: [warning('schema', 'The metrics are not a list of days.', [])],
+        };
+    }
+
+    const problems = [];
+    const unknown = new Set();
+    const dates = new Set();
+    const quietDays = [];
+    metrics.forEach((day, i) => {
+        const label = isPlainObject(day) && isValidDate(day.date) ? day.date : `day ${i + 1}`;
+        const found = { problems: [], unknown };
+        checkValue(day, METRICS_SCHEMA, '', '', found);
+        found.problems.forEach(problem => problems.push(`${label}: ${problem}`));
+        if (label === day.date) {
+            dates.add(day.date);
+            if (Number.isInteger(day.total_active_users) && day.total_active_users < REPORTING_THRESHOLD) quietDays.push(day.date);
+        }
+    });
+
+    // Days between the start and end of the range that have no entry
+    const sorted = Array.from(dates).sort();
+    const start = range.since || sorted[0];
+    const lastDay = yesterday();
+    const end = range.until ? (range.until < lastDay ? range.until : lastDay) : sorted[sorted.length - 1];
+    const missing = [];
+    for (let date = start; start && end && date <= end; date = nextDate(date)) {
+        if (!dates.has(date)) missing.push(date);
+    }
+
+    const warnings = [];
+    if (metrics.length === 0) {
+        const period = range.since || range.until ? ` for ${range.since || 'the start'} to ${range.until || 'today'}` : '';
+        warnings.push(warning('no_data', `There are no metrics${period}; empty charts mean no data, not zero usage.`, []));
+    }
+    if (problems.length > 0) {
+        warnings.push(warning('schema', `${plural(problems.length, 'value')} in the metrics ${problems.length === 1 ? 'does' : 'do'} not match the expected format (schema ${METRICS_SCHEMA_VERSION}); totals that include them may be wrong.`, problems));
+    }
+    if (unknown.size > 0) {
+        warnings.push(warning('unknown_fields', `The metrics contain ${plural(unknown.size, 'field')} the dashboard does not know (schema ${METRICS_SCHEMA_VERSION}); they are not shown.`, Array.from(unknown).sort()));
+    }
+    if (missing.length > 0 && metrics.length > 0) {
+        warnings.push(warning('missing_days', `No data for ${plural(missing.length, 'day')} in the range; gaps in the charts are missing data, not drops in usage.`, dateRuns(missing), missing.length));
+    }
+    if (quietDays.length > 0) {
+        warnings.push(warning('below_threshold', `${plural(quietDays.length, 'day')} had fewer than ${REPORTING_THRESHOLD} active users; GitHub may report such days incompletely or not at all.`, quietDays.sort()));
+    }
+    return { schemaVersion: METRICS_SCHEMA_VERSION, warnings };
+};
+
+// The warnings as a response header value: JSON with non-ASCII characters escaped
+const warningsHeader = (warnings) => JSON.stringify(warnings)
+    .replace(/[\u007f-\uffff]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+
+module.exports = {
+    METRICS_SCHEMA_VERSION,
+    METRICS_SCHEMA,
+    validateMetrics,
+    warningsHeader,
+};
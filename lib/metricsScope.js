@@ -0,0 +1,110 @@
+// ============================================================================
+// Metrics Scope Helpers
+// ============================================================================
+// The app can read Copilot metrics for an organization, a whole enterprise,
+// or a single enterprise team. A "target" describes which one:
+//   { scope: 'organization' | 'enterprise' | 'enterprise-team', org, enterprise, team }
+// These helpers turn a target into GitHub API paths and history keys.
+
+const SCOPES = ['organization', 'enterprise', 'enterprise-team'];
+
+// ----------------------------------------------------------------------------
+// Parse Target Configuration
+// ----------------------------------------------------------------------------
+// Validates the scope fields posted to /api/config.
+// `scope` defaults to 'organization' so older clients posting { token, org } keep working.
+// Returns { target } on success or { error } describing the first problem found.
+const parseTarget = (body) => {
+    const scope = body.scope || 'organization';
+    const org = typeof body.org === 'string' ? body.org.trim() : '';
+    const enterprise = typeof body.enterprise === 'string' ? body.enterprise.trim() : '';
+    const team = typeof body.team === 'string' ? body.team.trim() : '';
+
+    if (!SCOPES.includes(scope)) {
+        return { error: `Scope must be one of: ${SCOPES.join(', ')}.` };
+    }
+    if (scope === 'organization' && !org) {
+        return { error: 'Organization is required for organization scope.' };
+    }
+    if (scope !== 'organization' && !enterprise) {
+        return { error: 'Enterprise is required for enterprise scope.' };
+    }
+    if (scope === 'enterprise-team' && !team) {
+        return { error: 'Enterprise team is required for enterprise team scope.' };
+    }
+
+    return {
+        target: {
+            scope,
+            org: scope === 'organization' ? org : '',
+            enterprise: scope === 'organization' ? '' : enterprise,
+            team: scope === 'enterprise-team' ? team : '',
+        },
+    };
+};
+
+// True once a target has everything needed to build API paths
+const isTargetConfigured = (target) => (
+    target.scope === 'organization' ? !!target.org : !!target.enterprise
+);
+
+// Base API path for the org or enterprise the target belongs to
+const ownerPath = (target) => (
+    target.scope === 'organization'
+        ? `/orgs/${encodeURIComponent(target.org)}`
+        : `/enterprises/${encodeURIComponent(target.enterprise)}`
+);
+
+// ----------------------------------------------------------------------------
+// Build GitHub API Paths
+// ----------------------------------------------------------------------------
+// Metrics for the target itself, or for `teamSlug` within its org/enterprise:
+//   /orgs/{org}/copilot/metrics                      /orgs/{org}/team/{team}/copilot/metrics
+//   /enterprises/{enterprise}/copilot/metrics        /enterprises/{enterprise}/team/{team}/copilot/metrics
+const metricsPath = (target, teamSlug) => {
+    const team = teamSlug || target.team;
+    return team
+        ? `${ownerPath(target)}/team/${encodeURIComponent(team)}/copilot/metrics`
+        : `${ownerPath(target)}/copilot/metrics`;
+};
+
+// Teams listing for the target's org or enterprise
+const teamsPath = (target) => `${ownerPath(target)}/teams`;
+
+// Copilot seat assignments (exists for both orgs and enterprises)
+const seatsPath = (target) => `${ownerPath(target)}/copilot/billing/seats`;
+
+// Copilot billing summary; GitHub only offers it for organizations, so enterprises get null
+const billingPath = (target) => (
+    target.scope === 'organization' ? `${ownerPath(target)}/copilot/billing` : null
+);
+
+// ----------------------------------------------------------------------------
+// History Keys
+// ----------------------------------------------------------------------------
+// Organization history keeps the plain org name (the original layout);
+// enterprises are prefixed so an org and an enterprise with the same slug never collide.
+const historyKey = (target, teamSlug) => {
+    const base = target.scope === 'organization' ? target.org : `enterprise:${target.enterprise}`;
+    const team = teamSlug || target.team;
+    return team ? `${base}/team/${team}` : base;
+};
+
+// Human-readable label, e.g. "Organization: acme" or "Enterprise team: acme-corp / platform"
+const describeTarget = (target) => {
+    if (target.scope === 'enterprise') return `Enterprise: ${target.enterprise}`;
+    if (target.scope === 'enterprise-team') return `Enterprise team: ${target.enterprise} / ${target.team}`;
+    return `Organization: ${target.org}`;
+};
+
+module.exports = {
+    SCOPES,
+    parseTarget,
+    isTargetConfigured,
+    metricsPath,
+    teamsPath,
+    seatsPath,
+    billingPath,
+    historyKey,
+    describeTarget,
+};
@@ -0,0 +1,346 @@
+// ============================================================================
+// Mock GitHub API
+// ============================================================================
+// A stand-in for the parts of the GitHub REST API this app calls, serving generated
+// but realistic data, for demos and for exercising the server's error handling
+// without a real organization, Copilot licences or a token. Mounted by the server at
+// /mock-github (demo mode, see STEP 17 in server.js) and runnable on its own with
+// `npm run mock-github`. Endpoints, for /orgs/{org} and /enterprises/{enterprise} alike:
+//   GET /user                                   the demo user (classic-PAT scopes header)
+//   GET /{owner}/copilot/metrics                 the last 28 days up to yesterday (UTC);
+//   GET /{owner}/team/{team}/copilot/metrics     since/until/per_page/page as on GitHub
+//   GET /{owner}/teams                           five teams (one too small to report metrics)
+//   GET /{owner}/copilot/billing/seats           120 seats with last activity
+//   GET /orgs/{org}/copilot/billing              seat breakdown and policies
+// Any bearer token is accepted except "bad" (401). Responses carry X-RateLimit headers and
+// ETags (If-None-Match answers 304), as GitHub's do. Numbers are seeded by owner, team and
+// date, so every request (and every restart) returns the same data for the same day.
+// The owner slug picks a failure scenario; it may also end in "-<scenario>" (e.g. "acme-slow"):
+//   forbidden         403 Resource not accessible by personal access token
+//   missing           404 Not Found
+//   metrics-disabled  422 Copilot Metrics API access is disabled
+//   rate-limited      403 with X-RateLimit-Remaining: 0 (resets in an hour)
+//   slow              normal data after MOCK_GITHUB_DELAY_MS (default 3000, within the client's timeout)
+//   timeout           no answer until GITHUB_TIMEOUT_MS plus a second (default 11000), so every
+//                     attempt of the client (lib/githubClient.js) times out
+const crypto = require('crypto');
+const express = require('express');
+
+const WINDOW_DAYS = 28;
+const MAX_PER_PAGE = 100;
+const TOTAL_SEATS = 120;
+const RATE_LIMIT = 5000;
+const DEFAULT_DELAY_MS = Number(process.env.MOCK_GITHUB_DELAY_MS) || 3000;
+const DEFAULT_TIMEOUT_DELAY_MS = (Number(process.env.GITHUB_TIMEOUT_MS) || 10000) + 1000;
+const SCOPES_HEADER = 'read:org, read:enterprise, manage_billing:copilot';
+
+const TEAMS = [
+    { slug: 'web', name: 'Web', size: 40 },
+    { slug: 'platform', name: 'Platform', size: 30 },
+    { slug: 'data', name: 'Data', size: 25 },
+    { slug: 'mobile', name: 'Mobile', size: 22 },
+    { slug: 'interns', name: 'Interns', size: 3 },  // GitHub reports no metrics for teams under five seats
+];
+
+// Share of the completions users who write each language
+const LANGUAGES = [
+    { name: 'typescript', share: 0.45 },
+    { name: 'python', share: 0.4 },
+    { name: 'javascript', share: 0.3 },
+    { name: 'go', share: 0.2 },
+    { name: 'java', share: 0.15 },
+    { name: 'ruby', share: 0.08 },
+    { name: 'markdown', share: 0.25 },
+];
+
+const EDITORS = [
+    { name: 'vscode', share: 0.65, customModel: true },
+    { name: 'jetbrains', share: 0.25, customModel: false },
+    { name: 'neovim', share: 0.1, customModel: false },
+];
+
+const REPOSITORIES = ['web-app', 'api-gateway', 'data-pipeline', 'mobile-client'];
+
+const ERRORS = {
+    forbidden: { status: 403, message: 'Resource not accessible by personal access token' },
+    missing: { status: 404, message: 'Not Found' },
+    'metrics-disabled': { status: 422, message: 'Copilot Metrics API access is disabled for this organization.' },
+};
+
+const scenarioOf = (owner) => (
+    ['forbidden', 'missing', 'metrics-disabled', 'rate-limited', 'slow', 'timeout']
+        .find(scenario => owner === scenario || owner.endsWith(`-${scenario}`)) || null
+);
+
+// ----------------------------------------------------------------------------
+// Seeded Random Numbers
+// ----------------------------------------------------------------------------
+// mulberry32, seeded from a hash of the key: the same key always yields the same sequence
+const seededRandom = (key) => {
+    let state = crypto.createHash('sha256').update(key).digest().readUInt32LE(0);
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+const between = (random, min, max) => min + random() * (max - min);
+
+const dateOffset = (days) => {
+    const date = new Date();
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+};
+
+// ----------------------------------------------------------------------------
+// Generate One Day of Metrics
+// ----------------------------------------------------------------------------
+// `size` is the number of Copilot users behind the owner or team; weekends are quiet
+const generateDay = (owner, team, size, date) => {
+    const random = seededRandom(`${owner}/${team || ''}/${date}`);
+    const weekday = ![0, 6].includes(new Date(`${date}T00:00:00Z`).getUTCDay());
+    const activeUsers = Math.max(1, Math.round(size * (weekday ? 0.72 : 0.12) * between(random, 0.85, 1.1)));
+    const engagedUsers = Math.round(activeUsers * between(random, 0.85, 0.95));
+    const model = (name, engaged, extra) => ({
+        name,
+        is_custom_model: name !== 'default',
+        custom_model_training_date: name !== 'default' ? '2025-01-15' : null,
+        total_engaged_users: engaged,
+        ...extra,
+    });
+
+    // Code completions: editor → model → language
+    const languageUsers = new Map();
+    const completionEditors = EDITORS.map(editor => {
+        const editorUsers = Math.round(engagedUsers * editor.share);
+        const models = (editor.customModel ? [['default', 0.8], ['acme-finetuned', 0.2]] : [['default', 1]]).map(([name, share]) => {
+            const modelUsers = Math.round(editorUsers * share);
+            const languages = LANGUAGES.map(language => {
+                const users = Math.min(modelUsers, Math.round(modelUsers * language.share * between(random, 0.8, 1.2)));
+                const suggestions = Math.round(users * between(random, 18, 40));
+                const acceptances = Math.round(suggestions * between(random, 0.24, 0.36));
+                languageUsers.set(language.name, (languageUsers.get(language.name) || 0) + users);
+                return {
+                    name: language.name,
+                    total_engaged_users: users,
+                    total_code_suggestions: suggestions,
+                    total_code_acceptances: acceptances,
+                    total_code_lines_suggested: Math.round(suggestions * between(random, 1.4, 1.9)),
+                    total_code_lines_accepted: Math.round(acceptances * between(random, 1.2, 1.6)),
+                };
+            }).filter(language => language.total_engaged_users > 0);
+            return model(name, modelUsers, { languages });
+        }).filter(entry => entry.total_engaged_users > 0);
+        return { name: editor.name, total_engaged_users: editorUsers, models };
+    }).filter(editor => editor.total_engaged_users > 0);
+
+    // IDE chat (not in Neovim), chat on github.com and pull request summaries
+    const chatEditors = EDITORS.filter(editor => editor.name !== 'neovim').map(editor => {
+        const users = Math.round(engagedUsers * editor.share * between(random, 0.4, 0.6));
+        const chats = Math.round(users * between(random, 2, 6));
+        return {
+            name: editor.name,
+            total_engaged_users: users,
+            models: [model('default', users, {
+                total_chats: chats,
+                total_chat_insertion_events: Math.round(chats * between(random, 0.2, 0.35)),
+                total_chat_copy_events: Math.round(chats * between(random, 0.1, 0.25)),
+            })],
+        };
+    }).filter(editor => editor.total_engaged_users > 0);
+    const dotcomUsers = Math.round(engagedUsers * between(random, 0.1, 0.25));
+    const repositories = REPOSITORIES.map(name => {
+        const users = Math.round(between(random, 0, weekday ? 4 : 1));
+        return { name, total_engaged_users: users, models: [model('default', users, { total_pr_summaries_created: users * Math.round(between(random, 1, 3)) })] };
+    }).filter(repository => repository.total_engaged_users > 0);
+
+    return {
+        date,
+        total_active_users: activeUsers,
+        total_engaged_users: engagedUsers,
+        copilot_ide_code_completions: {
+            total_engaged_users: Math.min(engagedUsers, completionEditors.reduce((total, editor) => total + editor.total_engaged_users, 0)),
+            languages: Array.from(languageUsers, ([name, users]) => ({ name, total_engaged_users: users })).filter(language => language.total_engaged_users > 0),
+            editors: completionEditors,
+        },
+        copilot_ide_chat: {
+            total_engaged_users: Math.min(engagedUsers, chatEditors.reduce((total, editor) => total + editor.total_engaged_users, 0)),
+            editors: chatEditors,
+        },
+        copilot_dotcom_chat: {
+            total_engaged_users: dotcomUsers,
+            models: [model('default', dotcomUsers, { total_chats: Math.round(dotcomUsers * between(random, 1, 4)) })],
+        },
+        copilot_dotcom_pull_requests: {
+            total_engaged_users: repositories.reduce((total, repository) => total + repository.total_engaged_users, 0),
+            repositories,
+        },
+    };
+};
+
+// The last WINDOW_DAYS days up to yesterday, narrowed by GitHub's since/until timestamps
+const generateMetrics = (owner, team, query) => {
+    const size = team ? team.size : TEAMS.reduce((total, entry) => total + entry.size, 0);
+    if (size < 5) return [];
+    const since = typeof query.since === 'string' ? query.since.slice(0, 10) : '';
+    const until = typeof query.until === 'string' ? query.until.slice(0, 10) : '';
+    const days = [];
+    for (let offset = -WINDOW_DAYS; offset < 0; offset++) {
+        const date = dateOffset(offset);
+        if ((!since || date >= since) && (!until || date <= until)) {
+            days.push(generateDay(owner, team && team.slug, size, date));
+        }
+    }
+    return days;
+};
+
+// Seat assignments spread over the teams; about one in six has been idle for weeks
+const generateSeats = (owner) => {
+    const random = seededRandom(`${owner}/seats`);
+    const seats = [];
+    for (let i = 0; i < TOTAL_SEATS; i++) {
+        const team = TEAMS[i % TEAMS.length];
+        const idle = random() < 0.17;
+        const hoursAgo = Math.round(between(random, idle ? 35 * 24 : 1, idle ? 120 * 24 : 6 * 24));
+        const lastActivity = idle && random() < 0.3 ? null : new Date(Math.floor(Date.now() / 3600000 - hoursAgo) * 3600000);
+        seats.push({
+            created_at: '2024-09-02T09:00:00Z',
+            updated_at: '2024-09-02T09:00:00Z',
+            pending_cancellation_date: null,
+            last_activity_at: lastActivity ? lastActivity.toISOString() : null,
+            last_activity_editor: lastActivity ? `${EDITORS[i % EDITORS.length].name}/1.96.0` : null,
+            plan_type: i % 10 === 0 ? 'enterprise' : 'business',
+            assignee: { login: `demo-user-${i + 1}`, id: 1000 + i, type: 'User' },
+            assigning_team: { slug: team.slug, name: team.name },
+        });
+    }
+    return seats;
+};
+
+// ----------------------------------------------------------------------------
+// Response Helpers
+// ----------------------------------------------------------------------------
+const sendError = (res, status, message) => res.status(status).json({
+    message,
+    documentation_url: 'https://docs.github.com/rest',
+    status: String(status),
+});
+
+// One page of `items` (per_page defaults to `defaultPerPage`), with GitHub's Link header
+const sendPage = (req, res, items, defaultPerPage, wrap = page => page) => {
+    const perPage = Math.min(MAX_PER_PAGE, Number(req.query.per_page) || defaultPerPage);
+    const page = Math.max(1, Number(req.query.page) || 1);
+    const lastPage = Math.max(1, Math.ceil(items.length / perPage));
+    const pageUrl = (number) => {
+        const url = new URL(`${req.protocol}://${req.get('host')}${req.originalUrl}`);
+        url.searchParams.set('per_page', String(perPage));
+        url.searchParams.set('page', String(number));
+        return url.toString();
+    };
+    const links = [];
+    if (page < lastPage) links.push(`<${pageUrl(page + 1)}>; rel="next"`, `<${pageUrl(lastPage)}>; rel="last"`);
+    if (page > 1) links.push(`<${pageUrl(page - 1)}>; rel="prev"`, `<${pageUrl(1)}>; rel="first"`);
+    if (links.length > 0) res.set('Link', links.join(', '));
+    res.json(wrap(items.slice((page - 1) * perPage, page * perPage)));
+};
+
+// ----------------------------------------------------------------------------
+// Router
+// ----------------------------------------------------------------------------
+// Options: { delayMs } for the "slow" scenario, { timeoutDelayMs } for the "timeout" scenario
+const createMockGitHub = ({ delayMs = DEFAULT_DELAY_MS, timeoutDelayMs = DEFAULT_TIMEOUT_DELAY_MS } = {}) => {
+    const router = express.Router();
+    const requestCounts = new Map();  // token → requests this hour, for X-RateLimit-Remaining
+
+    // Authentication and rate-limit headers on every response
+    router.use((req, res, next) => {
+        const token = (req.get('Authorization') || '').replace(/^(Bearer|token)\s+/i, '');
+        if (!token) return sendError(res, 401, 'Requires authentication');
+        if (token === 'bad') return sendError(res, 401, 'Bad credentials');
+
+        const hour = Math.floor(Date.now() / 3600000);
+        const key = `${token} ${hour}`;
+        requestCounts.set(key, (requestCounts.get(key) || 0) + 1);
+        res.set({
+            'X-RateLimit-Limit': String(RATE_LIMIT),
+            'X-RateLimit-Remaining': String(Math.max(0, RATE_LIMIT - requestCounts.get(key))),
+            'X-RateLimit-Reset': String((hour + 1) * 3600),
+            'X-GitHub-Api-Version-Selected': '2022-11-28',
+        });
+        next();
+    });
+
+    router.get('/user', (req, res) => {
+        res.set('X-OAuth-Scopes', SCOPES_HEADER);
+        res.json({ login: 'demo-user', id: 1, type: 'User', name: 'Demo User' });
+    });
+
+    // Failure scenarios picked by the org/enterprise slug
+    router.use(['/orgs/:owner', '/enterprises/:owner'], (req, res, next) => {
+        const scenario = scenarioOf(req.params.owner);
+        if (ERRORS[scenario]) {
+            return sendError(res, ERRORS[scenario].status, ERRORS[scenario].message);
+        }
+        if (scenario === 'rate-limited') {
+            res.set({ 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': String(Math.floor(Date.now() / 1000) + 3600) });
+            return sendError(res, 403, `API rate limit exceeded for user ID 1.`);
+        }
+        if (scenario === 'slow' || scenario === 'timeout') {
+            return setTimeout(next, scenario === 'slow' ? delayMs : timeoutDelayMs);
+        }
+        next();
+    });
+
+    const owners = (suffix) => [`/orgs/:owner${suffix}`, `/enterprises/:owner${suffix}`];
+
+    router.get(owners('/copilot/metrics'), (req, res) => {
+        sendPage(req, res, generateMetrics(req.params.owner, null, req.query), WINDOW_DAYS);
+    });
+
+    router.get(owners('/team/:team/copilot/metrics'), (req, res) => {
+        const team = TEAMS.find(entry => entry.slug === req.params.team);
+        if (!team) return sendError(res, 404, 'Not Found');
+        sendPage(req, res, generateMetrics(req.params.owner, team, req.query), WINDOW_DAYS);
+    });
+
+    router.get(owners('/teams'), (req, res) => {
+        sendPage(req, res, TEAMS.map((team, i) => ({ id: i + 1, slug: team.slug, name: team.name, description: `${team.name} team` })), 30);
+    });
+
+    router.get(owners('/copilot/billing/seats'), (req, res) => {
+        sendPage(req, res, generateSeats(req.params.owner), 50, seats => ({ total_seats: TOTAL_SEATS, seats }));
+    });
+
+    router.get('/orgs/:owner/copilot/billing', (req, res) => {
+        const seats = generateSeats(req.params.owner);
+        const active = seats.filter(seat => seat.last_activity_at && Date.now() - Date.parse(seat.last_activity_at) < 30 * 24 * 60 * 60 * 1000).length;
+        res.json({
+            seat_breakdown: {
+                total: TOTAL_SEATS,
+                added_this_cycle: 6,
+                pending_invitation: 0,
+                pending_cancellation: 0,
+                active_this_cycle: active,
+                inactive_this_cycle: TOTAL_SEATS - active,
+            },
+            seat_management_setting: 'assign_selected',
+            ide_chat: 'enabled',
+            platform_chat: 'enabled',
+            cli: 'enabled',
+            public_code_suggestions: 'block',
+            plan_type: 'business',
+        });
+    });
+
+    router.use((req, res) => sendError(res, 404, 'Not Found'));
+    return router;
+};
+
+module.exports = {
+    TEAMS,
+    generateMetrics,
+    createMockGitHub,
+};
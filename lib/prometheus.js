@@ -0,0 +1,175 @@
+// ============================================================================
+// Prometheus Exporter
+// ============================================================================
+// Renders GET /metrics in the Prometheus text exposition format (version 0.0.4):
+//   - Copilot gauges for the latest day in each configured target's history:
+//     daily active/engaged users per org, and suggested/accepted lines,
+//     acceptance rate and engaged users per org × editor × model × language
+//   - the exporter's own health: GitHub request latency, responses and errors
+//     per endpoint, and when each target was last refreshed
+// `org` is the organization, the enterprise, or "<enterprise>/<team>" for enterprise-team profiles.
+// Targets are refreshed from GitHub during a scrape once their data is older than
+// METRICS_REFRESH_SECONDS (default 900); the gauges themselves come from the stored history.
+const { readHistory } = require('./historyStore');
+const { historyKey } = require('./metricsScope');
+const { flattenMetricRows } = require('../client/src/shared/metrics');
+
+const REFRESH_MS = (Number(process.env.METRICS_REFRESH_SECONDS) || 900) * 1000;
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// ----------------------------------------------------------------------------
+// GitHub Request Statistics
+// ----------------------------------------------------------------------------
+// Recorded by lib/githubClient.js and lib/githubAppAuth.js for every HTTP attempt (retries included).
+// Endpoints are grouped so that org, team and enterprise names don't become labels.
+const ENDPOINTS = [
+    [/\/team\/[^/]+\/copilot\/metrics$/, 'team_metrics'],
+    [/\/copilot\/metrics$/, 'metrics'],
+    [/\/copilot\/billing\/seats$/, 'seats'],
+    [/\/copilot\/billing$/, 'billing'],
+    [/\/teams$/, 'teams'],
+    [/\/access_tokens$/, 'installation_token'],
+    [/\/user$/, 'user'],
+];
+
+const requestCounts = new Map();  // "endpoint status" → { endpoint, status, count }
+const latencies = new Map();      // endpoint → { buckets: [count per LATENCY_BUCKETS], sum, count }
+
+const endpointOf = (url) => {
+    const pathname = new URL(url).pathname;
+    const match = ENDPOINTS.find(([pattern]) => pattern.test(pathname));
+    return match ? match[1] : 'other';
+};
+
+// `status` is the HTTP status, or 'timeout' / 'network' when no response arrived
+const recordGitHubRequest = (url, status, seconds) => {
+    const endpoint = endpointOf(url);
+    const countKey = `${endpoint} ${status}`;
+    const counted = requestCounts.get(countKey) || { endpoint, status: String(status), count: 0 };
+    counted.count += 1;
+    requestCounts.set(countKey, counted);
+
+    const latency = latencies.get(endpoint) || { buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+    LATENCY_BUCKETS.forEach((bound, i) => {
+        if (seconds <= bound) latency.buckets[i] += 1;
+    });
+    latency.sum += seconds;
+    latency.count += 1;
+    latencies.set(endpoint, latency);
+};
+
+const isErrorStatus = (status) => !/^\d+$/.test(status) || Number(status) >= 400;
+
+// ----------------------------------------------------------------------------
+// Text Format Helpers
+// ----------------------------------------------------------------------------
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const sample = (name, labels, value) => {
+    const pairs = Object.keys(labels).map(label => `${label}="${escapeLabel(labels[label])}"`);
+    return `${name}${pairs.length ? `{${pairs.join(',')}}` : ''} ${Number.isFinite(value) ? value : 0}`;
+};
+
+// One metric family: HELP and TYPE lines followed by its samples
+const family = (name, type, help, samples) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples];
+
+const orgLabel = (profile) => {
+    if (profile.scope === 'organization') return profile.org;
+    return profile.scope === 'enterprise-team' ? `${profile.enterprise}/${profile.team}` : profile.enterprise;
+};
+
+// ----------------------------------------------------------------------------
+// Refresh Targets
+// ----------------------------------------------------------------------------
+// Per history key: { org, lastAttempt, lastSuccess, up, duration, pending }
+const targets = new Map();
+
+// Fetch a target again if its data is stale; concurrent scrapes share one fetch.
+// Never rejects: a failed refresh marks the target down and the last stored values stay exported.
+const refreshTarget = (profile, fetchMetrics) => {
+    const key = historyKey(profile);
+    const state = targets.get(key) || { org: orgLabel(profile), lastAttempt: 0, lastSuccess: null, up: false, duration: null, pending: null };
+    targets.set(key, state);
+    if (state.pending) return state.pending;
+    if (Date.now() - state.lastAttempt < REFRESH_MS) return Promise.resolve();
+
+    const started = Date.now();
+    state.lastAttempt = started;
+    state.pending = fetchMetrics(profile)
+        .then(() => {
+            state.up = true;
+            state.lastSuccess = Date.now();
+        })
+        .catch(error => {
+            state.up = false;
+            console.error(`Prometheus refresh for ${state.org} failed: ${error.message}`);
+        })
+        .finally(() => {
+            state.duration = (Date.now() - started) / 1000;
+            state.pending = null;
+        });
+    return state.pending;
+};
+
+// ----------------------------------------------------------------------------
+// Render /metrics
+// ----------------------------------------------------------------------------
+// `getProfiles()` lists the profiles to export (profiles sharing a target are exported once);
+// `fetchMetrics(profile)` fetches and stores the target's metrics. Resolves with the response body.
+const renderMetrics = async ({ getProfiles, fetchMetrics }) => {
+    const profiles = Array.from(new Map(getProfiles().map(profile => [historyKey(profile), profile])).values());
+    await Promise.all(profiles.map(profile => refreshTarget(profile, fetchMetrics)));
+
+    const latest = await Promise.all(profiles.map(async (profile) => {
+        const days = await readHistory(historyKey(profile));
+        return { org: orgLabel(profile), day: days[days.length - 1] || null };
+    }));
+    const withData = latest.filter(target => target.day);
+    const rows = [];
+    withData.forEach(target => {
+        flattenMetricRows([target.day]).forEach(row => rows.push({ org: target.org, row }));
+    });
+    const rowLabels = ({ org, row }) => ({ org, editor: row.editor, model: row.model, language: row.language });
+    const states = Array.from(targets.values()).filter(state => latest.some(target => target.org === state.org));
+
+    return [
+        ...family('copilot_metrics_day_timestamp_seconds', 'gauge', 'Start of the day (UTC) the Copilot gauges describe.',
+            withData.map(target => sample('copilot_metrics_day_timestamp_seconds', { org: target.org }, Date.parse(`${target.day.date}T00:00:00Z`) / 1000))),
+        ...family('copilot_daily_active_users', 'gauge', 'Users with any Copilot activity on the latest day.',
+            withData.map(target => sample('copilot_daily_active_users', { org: target.org }, target.day.total_active_users))),
+        ...family('copilot_daily_engaged_users', 'gauge', 'Users who engaged with a Copilot feature on the latest day.',
+            withData.map(target => sample('copilot_daily_engaged_users', { org: target.org }, target.day.total_engaged_users))),
+        ...family('copilot_code_suggested_lines', 'gauge', 'Lines of code suggested by Copilot completions on the latest day.',
+            rows.map(entry => sample('copilot_code_suggested_lines', rowLabels(entry), entry.row.lines_suggested))),
+        ...family('copilot_code_accepted_lines', 'gauge', 'Lines of code accepted from Copilot completions on the latest day.',
+            rows.map(entry => sample('copilot_code_accepted_lines', rowLabels(entry), entry.row.lines_accepted))),
+        ...family('copilot_code_acceptance_rate', 'gauge', 'Accepted / suggested lines on the latest day (0-1).',
+            rows.map(entry => sample('copilot_code_acceptance_rate', rowLabels(entry),
+                entry.row.lines_suggested > 0 ? entry.row.lines_accepted / entry.row.lines_suggested : 0))),
+        ...family('copilot_code_engaged_users', 'gauge', 'Users who engaged with Copilot completions on the latest day.',
+            rows.map(entry => sample('copilot_code_engaged_users', rowLabels(entry), entry.row.engaged_users))),
+        ...family('copilot_exporter_up', 'gauge', 'Whether the last refresh from GitHub succeeded (1) or failed (0).',
+            states.map(state => sample('copilot_exporter_up', { org: state.org }, state.up ? 1 : 0))),
+        ...family('copilot_exporter_last_success_timestamp_seconds', 'gauge', 'When the metrics were last refreshed from GitHub.',
+            states.filter(state => state.lastSuccess).map(state => sample('copilot_exporter_last_success_timestamp_seconds', { org: state.org }, state.lastSuccess / 1000))),
+        ...family('copilot_exporter_refresh_duration_seconds', 'gauge', 'How long the last refresh from GitHub took.',
+            states.filter(state => state.duration !== null).map(state => sample('copilot_exporter_refresh_duration_seconds', { org: state.org }, state.duration))),
+        ...family('copilot_exporter_github_requests_total', 'counter', 'GitHub API requests by endpoint and response status.',
+            Array.from(requestCounts.values()).map(counted => sample('copilot_exporter_github_requests_total', { endpoint: counted.endpoint, status: counted.status }, counted.count))),
+        ...family('copilot_exporter_github_errors_total', 'counter', 'Failed GitHub API requests (4xx/5xx, timeouts, network errors) by endpoint and status.',
+            Array.from(requestCounts.values()).filter(counted => isErrorStatus(counted.status))
+                .map(counted => sample('copilot_exporter_github_errors_total', { endpoint: counted.endpoint, status: counted.status }, counted.count))),
+        ...family('copilot_exporter_github_request_duration_seconds', 'histogram', 'GitHub API request latency by endpoint.',
+            Array.from(latencies.entries()).flatMap(([endpoint, latency]) => [
+                ...LATENCY_BUCKETS.map((bound, i) => sample('copilot_exporter_github_request_duration_seconds_bucket', { endpoint, le: bound }, latency.buckets[i])),
+                sample('copilot_exporter_github_request_duration_seconds_bucket', { endpoint, le: '+Inf' }, latency.count),
+                sample('copilot_exporter_github_request_duration_seconds_sum', { endpoint }, latency.sum),
+                sample('copilot_exporter_github_request_duration_seconds_count', { endpoint }, latency.count),
+            ])),
+    ].join('\n') + '\n';
+};
+
+module.exports = {
+    recordGitHubRequest,
+    renderMetrics,
+};
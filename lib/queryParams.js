@@ -0,0 +1,97 @@
+// ============================================================================
+// Query Parameter Parsing
+// ============================================================================
+// Shared validation for the query parameters our API routes accept:
+// `since`/`until` (YYYY-MM-DD) and `per_page`/`page` pagination.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_PER_PAGE = 100;  // GitHub's upper limit for per_page
+
+// True if the value is a real calendar date in YYYY-MM-DD form
+const isValidDate = (value) => {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+    const parsed = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(value);
+};
+
+// Parse `since`/`until` from a query object.
+// Returns { since, until } on success or { error } describing the first problem found.
+const parseDateRange = (query) => {
+    const { since, until } = query;
+
+    if (since !== undefined && !isValidDate(since)) {
+        return { error: '`since` must be a date in YYYY-MM-DD format.' };
+    }
+    if (until !== undefined && !isValidDate(until)) {
+        return { error: '`until` must be a date in YYYY-MM-DD format.' };
+    }
+    if (since && until && since > until) {
+        return { error: '`since` must not be after `until`.' };
+    }
+
+    return { since, until };
+};
+
+// Parse a positive integer parameter, returning undefined when absent and NaN when invalid
+const parsePositiveInt = (value) => {
+    if (value === undefined) return undefined;
+    return /^\d+$/.test(value) && Number(value) > 0 ? Number(value) : NaN;
+};
+
+// Parse `per_page`/`page` from a query object.
+// Returns { perPage, page } on success or { error } describing the first problem found.
+const parsePagination = (query) => {
+    const perPage = parsePositiveInt(query.per_page);
+    const page = parsePositiveInt(query.page);
+
+    if (Number.isNaN(perPage) || perPage > MAX_PER_PAGE) {
+        return { error: `\`per_page\` must be an integer between 1 and ${MAX_PER_PAGE}.` };
+    }
+    if (Number.isNaN(page)) {
+        return { error: '`page` must be a positive integer.' };
+    }
+
+    return { perPage, page };
+};
+
+// Parse `source`: "live" (proxy GitHub, the default) or "history" (the on-disk store).
+// Returns { source } on success or { error }.
+const METRICS_SOURCES = ['live', 'history'];
+
+const parseSource = (value) => {
+    const source = value || 'live';
+    if (!METRICS_SOURCES.includes(source)) {
+        return { error: `\`source\` must be one of: ${METRICS_SOURCES.join(', ')}.` };
+    }
+    return { source };
+};
+
+// ----------------------------------------------------------------------------
+// Parse Metrics Query
+// ----------------------------------------------------------------------------
+// Validates every parameter the metrics proxy forwards to GitHub.
+// Returns { params } (a URLSearchParams ready to append to the GitHub URL) or { error }.
+const parseMetricsQuery = (query) => {
+    const range = parseDateRange(query);
+    if (range.error) return { error: range.error };
+
+    const pagination = parsePagination(query);
+    if (pagination.error) return { error: pagination.error };
+
+    // GitHub expects ISO 8601 timestamps; widen the dates to cover whole days
+    const params = new URLSearchParams();
+    if (range.since) params.set('since', `${range.since}T00:00:00Z`);
+    if (range.until) params.set('until', `${range.until}T23:59:59Z`);
+    if (pagination.perPage) params.set('per_page', String(pagination.perPage));
+    if (pagination.page) params.set('page', String(pagination.page));
+
+    return { params };
+};
+
+module.exports = {
+    isValidDate,
+    parseDateRange,
+    parsePagination,
+    parseSource,
+    parseMetricsQuery,
+};
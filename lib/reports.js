@@ -0,0 +1,169 @@
+// ============================================================================
+// Scheduled Reports
+// ============================================================================
+// Generates metrics digests (lib/digest.js) on a cron-style schedule, saves them
+// to the reports directory and, when SMTP is configured, emails them.
+//   REPORT_SCHEDULE   cron expression in server time, e.g. "0 8 * * 1" (Mondays 08:00);
+//                     no schedule means reports are only generated on demand
+//   REPORTS_DIR       where reports are kept (default DATA_DIR/reports):
+//                       index.json → [{ id, title, profileId, target, since, until, createdAt, trigger, email }]
+//                       <id>.html, <id>.md
+//   SMTP_HOST, SMTP_PORT (587), SMTP_SECURE, SMTP_USER, SMTP_PASSWORD,
+//   REPORT_EMAIL_FROM, REPORT_EMAIL_TO (comma-separated)
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { dataPath, readJsonFile, updateJsonFile } = require('./dataStore');
+const { describeTarget } = require('./metricsScope');
+const { buildDigest } = require('./digest');
+const { parseCron, nextCronRun } = require('./cron');
+
+const REPORTS_DIR = process.env.REPORTS_DIR || dataPath('reports');
+const INDEX_FILE = path.join(REPORTS_DIR, 'index.json');
+const REPORT_FORMATS = { html: 'html', markdown: 'md' };
+const MAX_TIMER_MS = 24 * 60 * 60 * 1000;  // setTimeout can't wait much longer than 24 days; re-check daily
+
+// ----------------------------------------------------------------------------
+// Email Delivery
+// ----------------------------------------------------------------------------
+const emailRecipients = () => (process.env.REPORT_EMAIL_TO || '').split(',').map(address => address.trim()).filter(Boolean);
+
+const isEmailConfigured = () => !!process.env.SMTP_HOST && emailRecipients().length > 0;
+
+let transporter = null;
+const getTransporter = () => {
+    if (!transporter) {
+        const port = Number(process.env.SMTP_PORT) || 587;
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port,
+            secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD || '' } : undefined,
+        });
+    }
+    return transporter;
+};
+
+// Resolves with { ok, to, error, at }; never rejects, so a mail outage doesn't lose the report
+const emailDigest = async (digest) => {
+    const to = emailRecipients();
+    try {
+        await getTransporter().sendMail({
+            from: process.env.REPORT_EMAIL_FROM || process.env.SMTP_USER || 'copilot-metrics@localhost',
+            to: to.join(', '),
+            subject: digest.title,
+            text: digest.markdown,
+            html: digest.html,
+        });
+        return { ok: true, to, error: null, at: new Date().toISOString() };
+    } catch (error) {
+        console.error(`Report "${digest.title}" could not be emailed: ${error.message}`);
+        return { ok: false, to, error: error.message, at: new Date().toISOString() };
+    }
+};
+
+// ----------------------------------------------------------------------------
+// Create and Read Reports
+// ----------------------------------------------------------------------------
+// Builds a digest from `metrics`, saves it, and emails it if SMTP is configured.
+// `trigger` is 'schedule' or 'manual'. Returns { report } or { error } when there is no data.
+const createReport = async (profile, metrics, trigger) => {
+    const createdAt = new Date().toISOString();
+    const target = describeTarget(profile);
+    const digest = buildDigest(metrics, { target, generatedAt: createdAt });
+    if (!digest) {
+        return { error: `No metrics available for ${target}.` };
+    }
+
+    const id = `${createdAt.slice(0, 10)}-${crypto.randomBytes(4).toString('hex')}`;
+    await fs.mkdir(REPORTS_DIR, { recursive: true });
+    await fs.writeFile(path.join(REPORTS_DIR, `${id}.html`), digest.html);
+    await fs.writeFile(path.join(REPORTS_DIR, `${id}.md`), digest.markdown);
+
+    const report = {
+        id,
+        title: digest.title,
+        profileId: profile.id,
+        target,
+        since: digest.since,
+        until: digest.until,
+        createdAt,
+        trigger,
+        email: isEmailConfigured() ? await emailDigest(digest) : null,
+    };
+    await updateJsonFile(INDEX_FILE, [], reports => [...reports, report]);
+    console.log(`Saved report ${id} for ${target} (${digest.since} to ${digest.until}).`);
+    return { report };
+};
+
+// Newest first
+const listReports = async () => (await readJsonFile(INDEX_FILE, [])).slice().reverse();
+
+const findReport = async (id) => (await readJsonFile(INDEX_FILE, [])).find(report => report.id === id) || null;
+
+// Contents of a saved report in 'html' or 'markdown'
+const readReport = (report, format) => fs.readFile(path.join(REPORTS_DIR, `${report.id}.${REPORT_FORMATS[format]}`), 'utf8');
+
+// ----------------------------------------------------------------------------
+// Scheduler
+// ----------------------------------------------------------------------------
+let schedule = null;
+let nextRun = null;
+
+// When and how reports are scheduled, for GET /api/reports (null = not scheduled)
+const getScheduleInfo = () => (schedule ? { expression: schedule.expression, nextRun: nextRun ? nextRun.toISOString() : null } : null);
+
+// `run` is called at every scheduled time; a run that fails is logged and the schedule continues
+const scheduleNext = (run) => {
+    nextRun = nextCronRun(schedule);
+    if (!nextRun) return;
+    const due = nextRun.getTime();
+    setTimeout(async () => {
+        if (Date.now() >= due) {
+            try {
+                await run();
+            } catch (error) {
+                console.error('Scheduled report run failed:', error);
+            }
+        }
+        scheduleNext(run);
+    }, Math.min(due - Date.now(), MAX_TIMER_MS));
+};
+
+// Starts the REPORT_SCHEDULE scheduler (if set). Each run fetches fresh metrics for every
+// profile returned by `getProfiles()` through `fetchMetrics(profile)`, and saves one report each.
+const startReportScheduler = ({ getProfiles, fetchMetrics }) => {
+    if (!process.env.REPORT_SCHEDULE) return;
+    const parsed = parseCron(process.env.REPORT_SCHEDULE);
+    if (parsed.error) {
+        console.error(`Reports are not scheduled: REPORT_SCHEDULE ${parsed.error}`);
+        return;
+    }
+
+    schedule = parsed.schedule;
+    scheduleNext(async () => {
+        const profiles = getProfiles();
+        console.log(`Generating scheduled reports for ${profiles.length} profile(s)...`);
+        for (const profile of profiles) {
+            try {
+                const result = await createReport(profile, await fetchMetrics(profile), 'schedule');
+                if (result.error) console.error(`Skipped scheduled report: ${result.error}`);
+            } catch (error) {
+                console.error(`Scheduled report for ${describeTarget(profile)} failed: ${error.message}`);
+            }
+        }
+    });
+    console.log(`Reports scheduled "${schedule.expression}"; next run ${nextRun ? nextRun.toISOString() : 'never'}.`);
+};
+
+module.exports = {
+    REPORT_FORMATS,
+    isEmailConfigured,
+    createReport,
+    listReports,
+    findReport,
+    readReport,
+    getScheduleInfo,
+    startReportScheduler,
+};
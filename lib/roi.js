@@ -0,0 +1,74 @@
+// ============================================================================
+// ROI Assumptions
+// ============================================================================
+// The assumptions behind the ROI estimates (see estimateRoi in client/src/shared/metrics.js)
+// are kept on the server, so everyone looking at the ROI view sees the same numbers.
+// DATA_DIR/roi-assumptions.json → { minutesPerAcceptedLine, minutesPerChat, hourlyCost, seatPrice, licensedSeats,
+//                                   updatedAt, updatedBy }
+// licensedSeats 0 means "use the billed seat count from GitHub" (see STEP 13b in server.js).
+const { dataPath, readJsonFile, writeJsonFile } = require('./dataStore');
+const { SEAT_PRICES } = require('./seats');
+
+const ASSUMPTIONS_FILE = dataPath('roi-assumptions.json');
+
+// Conservative starting points until an admin saves their own
+const DEFAULT_ASSUMPTIONS = {
+    minutesPerAcceptedLine: 0.5,
+    minutesPerChat: 5,
+    hourlyCost: 75,
+    seatPrice: SEAT_PRICES.business,
+    licensedSeats: 0,
+};
+
+// Upper bounds that catch typos (e.g. an hourly cost entered in cents)
+const LIMITS = {
+    minutesPerAcceptedLine: { label: 'Minutes saved per accepted line', max: 60 },
+    minutesPerChat: { label: 'Minutes saved per chat', max: 480 },
+    hourlyCost: { label: 'Loaded hourly cost', max: 10000 },
+    seatPrice: { label: 'Seat price', max: 1000 },
+    licensedSeats: { label: 'Licensed seats', max: 1000000, integer: true },
+};
+
+// ----------------------------------------------------------------------------
+// Validate Assumptions
+// ----------------------------------------------------------------------------
+// Omitted fields keep their current value.
+// Returns { fields } on success or { error } describing the first problem found.
+const parseAssumptions = (body, existing) => {
+    const fields = {};
+    for (const name of Object.keys(LIMITS)) {
+        const input = body[name];
+        const value = input === undefined ? existing[name] : input === '' || input === null ? NaN : Number(input);
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > LIMITS[name].max) {
+            return { error: `${LIMITS[name].label} must be a number between 0 and ${LIMITS[name].max}.` };
+        }
+        if (LIMITS[name].integer && !Number.isInteger(value)) {
+            return { error: `${LIMITS[name].label} must be a whole number.` };
+        }
+        fields[name] = value;
+    }
+    return { fields };
+};
+
+// ----------------------------------------------------------------------------
+// Read and Save
+// ----------------------------------------------------------------------------
+const readAssumptions = async () => ({
+    ...DEFAULT_ASSUMPTIONS,
+    updatedAt: null,
+    updatedBy: null,
+    ...(await readJsonFile(ASSUMPTIONS_FILE, {})),
+});
+
+const saveAssumptions = async (fields, username) => {
+    const assumptions = { ...fields, updatedAt: new Date().toISOString(), updatedBy: username };
+    await writeJsonFile(ASSUMPTIONS_FILE, assumptions);
+    return assumptions;
+};
+
+module.exports = {
+    DEFAULT_ASSUMPTIONS,
+    parseAssumptions,
+    readAssumptions,
+    saveAssumptions,
+};
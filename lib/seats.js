@@ -0,0 +1,72 @@
+// ============================================================================
+// Copilot Seat Report
+// ============================================================================
+// Turns the paginated /copilot/billing/seats response into a licence report:
+// which seats have been inactive for N days and what the seats cost per month.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_INACTIVE_DAYS = 30;
+
+// List prices per seat per month (USD); override with env vars for negotiated pricing
+const SEAT_PRICES = {
+    business: Number(process.env.COPILOT_BUSINESS_SEAT_PRICE) || 19,
+    enterprise: Number(process.env.COPILOT_ENTERPRISE_SEAT_PRICE) || 39,
+};
+
+// Price for one seat; unknown plan types are billed at the business rate
+const seatPrice = (planType) => SEAT_PRICES[planType] || SEAT_PRICES.business;
+
+// Parse the ?inactiveDays= parameter.
+// Returns { inactiveDays } on success or { error } if it is not a positive integer.
+const parseInactiveDays = (value) => {
+    if (value === undefined) return { inactiveDays: DEFAULT_INACTIVE_DAYS };
+    if (!/^\d+$/.test(value) || Number(value) < 1) {
+        return { error: '`inactiveDays` must be a positive integer.' };
+    }
+    return { inactiveDays: Number(value) };
+};
+
+// ----------------------------------------------------------------------------
+// Summarize Seats
+// ----------------------------------------------------------------------------
+// Input: raw seat objects from GitHub, the inactivity threshold in days, and "now"
+// Output: { total_seats, inactive_days, inactive_seats, monthly_cost, reclaimable_monthly_cost, seats: [...] }
+// A seat that has never been used counts its inactivity from when it was assigned.
+const summarizeSeats = (rawSeats, inactiveDays, now = new Date()) => {
+    const seats = rawSeats.map(seat => {
+        const lastActive = seat.last_activity_at || seat.created_at;
+        const daysInactive = lastActive ? Math.floor((now - new Date(lastActive)) / DAY_MS) : null;
+        return {
+            login: seat.assignee ? seat.assignee.login : 'unknown',
+            assignee_type: seat.assignee ? seat.assignee.type : null,
+            assigning_team: seat.assigning_team ? seat.assigning_team.name : null,
+            plan_type: seat.plan_type || 'unknown',
+            created_at: seat.created_at || null,
+            last_activity_at: seat.last_activity_at || null,
+            last_activity_editor: seat.last_activity_editor || null,
+            pending_cancellation_date: seat.pending_cancellation_date || null,
+            days_inactive: daysInactive,
+            inactive: daysInactive === null || daysInactive >= inactiveDays,
+            monthly_cost: seatPrice(seat.plan_type),
+        };
+    });
+
+    const inactive = seats.filter(seat => seat.inactive);
+    const sumCost = (list) => list.reduce((sum, seat) => sum + seat.monthly_cost, 0);
+
+    return {
+        total_seats: seats.length,
+        inactive_days: inactiveDays,
+        inactive_seats: inactive.length,
+        monthly_cost: sumCost(seats),
+        // Seats already pending cancellation are on their way out, so they aren't reclaimable
+        reclaimable_monthly_cost: sumCost(inactive.filter(seat => !seat.pending_cancellation_date)),
+        seats,
+    };
+};
+
+module.exports = {
+    SEAT_PRICES,
+    parseInactiveDays,
+    summarizeSeats,
+};
@@ -0,0 +1,117 @@
+// ============================================================================
+// Login Sessions
+// ============================================================================
+// Signed-in users get a random session id in an HttpOnly, SameSite=Strict cookie.
+// Sessions live in memory (everyone signs in again after a server restart) and
+// expire after SESSION_TTL_HOURS of inactivity (default 12).
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'copilot_session';
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+// Failed sign-ins allowed per client IP within the window before further attempts are refused
+const MAX_LOGIN_FAILURES = 10;
+const LOGIN_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+
+const sessions = new Map();       // session id → { username, role, expiresAt }
+const loginFailures = new Map();  // client IP → { count, firstAt }
+
+// ----------------------------------------------------------------------------
+// Session Lifecycle
+// ----------------------------------------------------------------------------
+const createSession = (user) => {
+    const id = crypto.randomBytes(32).toString('hex');
+    sessions.set(id, { username: user.username, role: user.role, expiresAt: Date.now() + SESSION_TTL_MS });
+    return id;
+};
+
+// Look up a session and extend it (sliding expiry). Returns null if unknown or expired.
+const getSession = (id) => {
+    const session = id ? sessions.get(id) : null;
+    if (!session) return null;
+    if (session.expiresAt < Date.now()) {
+        sessions.delete(id);
+        return null;
+    }
+    session.expiresAt = Date.now() + SESSION_TTL_MS;
+    return session;
+};
+
+const destroySession = (id) => sessions.delete(id);
+
+// Keep signed-in sessions in step with user changes: a new role applies at once, a deleted user is signed out
+const updateUserSessions = (username, role) => {
+    sessions.forEach((session, id) => {
+        if (session.username !== username) return;
+        if (role) {
+            session.role = role;
+        } else {
+            sessions.delete(id);
+        }
+    });
+};
+
+// Sign a user out everywhere except the given session (e.g. after a password change)
+const revokeUserSessions = (username, exceptId = null) => {
+    sessions.forEach((session, id) => {
+        if (session.username === username && id !== exceptId) sessions.delete(id);
+    });
+};
+
+// ----------------------------------------------------------------------------
+// Cookies
+// ----------------------------------------------------------------------------
+// Read the session id from the request's Cookie header
+const readSessionId = (req) => {
+    const header = req.get('Cookie') || '';
+    const match = header.split(';').map(part => part.trim()).find(part => part.startsWith(`${SESSION_COOKIE}=`));
+    return match ? decodeURIComponent(match.slice(SESSION_COOKIE.length + 1)) : null;
+};
+
+// Cookie options; set COOKIE_SECURE=true when the app is served over HTTPS
+const cookieOptions = () => ({
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: process.env.COOKIE_SECURE === 'true',
+    path: '/',
+});
+
+const setSessionCookie = (res, id) => res.cookie(SESSION_COOKIE, id, { ...cookieOptions(), maxAge: SESSION_TTL_MS });
+
+const clearSessionCookie = (res) => res.clearCookie(SESSION_COOKIE, cookieOptions());
+
+// ----------------------------------------------------------------------------
+// Login Throttling
+// ----------------------------------------------------------------------------
+const isLoginBlocked = (ip) => {
+    const failures = loginFailures.get(ip);
+    if (!failures) return false;
+    if (Date.now() - failures.firstAt > LOGIN_FAILURE_WINDOW_MS) {
+        loginFailures.delete(ip);
+        return false;
+    }
+    return failures.count >= MAX_LOGIN_FAILURES;
+};
+
+const recordLoginFailure = (ip) => {
+    const failures = loginFailures.get(ip) || { count: 0, firstAt: Date.now() };
+    failures.count += 1;
+    loginFailures.set(ip, failures);
+};
+
+const clearLoginFailures = (ip) => loginFailures.delete(ip);
+
+module.exports = {
+    SESSION_COOKIE,
+    createSession,
+    getSession,
+    destroySession,
+    updateUserSessions,
+    revokeUserSessions,
+    readSessionId,
+    setSessionCookie,
+    clearSessionCookie,
+    isLoginBlocked,
+    recordLoginFailure,
+    clearLoginFailures,
+};
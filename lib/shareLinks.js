@@ -0,0 +1,184 @@
+// ============================================================================
+// Read-Only Share Links
+// ============================================================================
+// Admins create links to a read-only view of one profile's metrics (whole target or
+// one team) for people without an account, e.g. a wiki page or status board:
+//   mode "snapshot"  the metrics as they were when the link was created, saved with it
+//   mode "live"      read from the stored history whenever the link is opened (never from GitHub)
+// A link's token is "<id>.<expires>.<signature>": an HMAC-SHA256 over the id and expiry
+// (Unix seconds) with SHARE_LINK_SECRET, or a random secret generated once into
+// DATA_DIR/share-link-secret. Links expire after 1-365 days and can be revoked early.
+// Nothing about the profile (credentials, API URL, profile id) is ever sent to viewers.
+//   DATA_DIR/share-links.json → [{ id, mode, profileId, target, team, source, since, until,
+//                                  createdBy, createdAt, expiresAt }]
+//   DATA_DIR/shares/<id>.json → the metrics of a snapshot link
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { dataPath, readJsonFile, writeJsonFile, updateJsonFile } = require('./dataStore');
+const { parseDateRange, parseSource } = require('./queryParams');
+
+const LINKS_FILE = dataPath('share-links.json');
+const SECRET_FILE = dataPath('share-link-secret');
+const SHARE_MODES = ['snapshot', 'live'];
+const DEFAULT_EXPIRY_DAYS = 30;
+const MAX_EXPIRY_DAYS = 365;
+
+const snapshotPath = (id) => dataPath('shares', `${id}.json`);
+
+// ----------------------------------------------------------------------------
+// Signing
+// ----------------------------------------------------------------------------
+// Read (or create) the signing secret once; rotating it invalidates every link
+let secretPromise = null;
+const getSecret = () => {
+    if (!secretPromise) {
+        secretPromise = (async () => {
+            if (process.env.SHARE_LINK_SECRET) return process.env.SHARE_LINK_SECRET;
+            try {
+                return (await fs.readFile(SECRET_FILE, 'utf8')).trim();
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+            const secret = crypto.randomBytes(32).toString('hex');
+            await fs.mkdir(path.dirname(SECRET_FILE), { recursive: true });
+            await fs.writeFile(SECRET_FILE, secret, { mode: 0o600 });
+            return secret;
+        })();
+        secretPromise.catch(() => { secretPromise = null; });
+    }
+    return secretPromise;
+};
+
+const expiresSeconds = (link) => Math.floor(Date.parse(link.expiresAt) / 1000);
+
+const sign = async (id, expires) => crypto
+    .createHmac('sha256', await getSecret())
+    .update(`${id}.${expires}`)
+    .digest('base64url');
+
+const linkToken = async (link) => {
+    const expires = expiresSeconds(link);
+    return `${link.id}.${expires}.${await sign(link.id, expires)}`;
+};
+
+// ----------------------------------------------------------------------------
+// Validate Share Input
+// ----------------------------------------------------------------------------
+// Body: { mode, team, source, since, until, expiresInDays } (all optional; mode defaults to snapshot)
+// Returns { fields } on success or { error } describing the first problem found.
+const parseShareInput = (body) => {
+    const mode = body.mode || 'snapshot';
+    if (!SHARE_MODES.includes(mode)) {
+        return { error: `Mode must be one of: ${SHARE_MODES.join(', ')}.` };
+    }
+    const { source, error: sourceError } = parseSource(body.source);
+    if (sourceError) {
+        return { error: sourceError };
+    }
+    const { since, until, error: rangeError } = parseDateRange({ since: body.since || undefined, until: body.until || undefined });
+    if (rangeError) {
+        return { error: rangeError };
+    }
+    const expiresInDays = body.expiresInDays === undefined ? DEFAULT_EXPIRY_DAYS : Number(body.expiresInDays);
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS) {
+        return { error: `Links must expire after 1 to ${MAX_EXPIRY_DAYS} days.` };
+    }
+    const team = typeof body.team === 'string' ? body.team.trim() : '';
+
+    return { fields: { mode, team: team || null, source, since: since || null, until: until || null, expiresInDays } };
+};
+
+// ----------------------------------------------------------------------------
+// Create, List and Revoke
+// ----------------------------------------------------------------------------
+// `target` is the profile's describeTarget() label; `metrics` is only kept for snapshots.
+// Resolves with the stored link plus its `token`.
+const createShareLink = async (profile, target, fields, username, metrics) => {
+    const now = new Date();
+    const link = {
+        id: crypto.randomBytes(9).toString('base64url'),
+        mode: fields.mode,
+        profileId: profile.id,
+        target,
+        team: fields.team,
+        source: fields.source,
+        since: fields.since,
+        until: fields.until,
+        createdBy: username,
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + fields.expiresInDays * 24 * 60 * 60 * 1000).toISOString(),
+    };
+    if (link.mode === 'snapshot') {
+        await writeJsonFile(snapshotPath(link.id), metrics);
+    }
+    await updateJsonFile(LINKS_FILE, [], links => [...links, link]);
+    return { ...link, token: await linkToken(link) };
+};
+
+// Newest first, with each link's token (admins copy links from the list) and whether it expired
+const listShareLinks = async () => {
+    const links = (await readJsonFile(LINKS_FILE, [])).slice().reverse();
+    return Promise.all(links.map(async link => ({
+        ...link,
+        token: await linkToken(link),
+        expired: Date.parse(link.expiresAt) <= Date.now(),
+    })));
+};
+
+// Resolves with false if there is no such link
+const revokeShareLink = async (id) => {
+    let found = false;
+    await updateJsonFile(LINKS_FILE, [], links => links.filter(link => {
+        if (link.id !== id) return true;
+        found = true;
+        return false;
+    }));
+    if (found) {
+        await fs.rm(snapshotPath(id), { force: true });
+    }
+    return found;
+};
+
+// ----------------------------------------------------------------------------
+// Open a Link
+// ----------------------------------------------------------------------------
+// The link a token grants access to, or null if the token is malformed, forged,
+// expired or revoked
+const resolveShareToken = async (token) => {
+    const match = /^([\w-]+)\.(\d+)\.([\w-]+)$/.exec(token || '');
+    if (!match) return null;
+    const [, id, expires, signature] = match;
+
+    const expected = Buffer.from(await sign(id, expires));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+    if (Number(expires) * 1000 <= Date.now()) return null;
+
+    const link = (await readJsonFile(LINKS_FILE, [])).find(candidate => candidate.id === id);
+    return link && String(expiresSeconds(link)) === expires ? link : null;
+};
+
+const readSnapshot = (link) => readJsonFile(snapshotPath(link.id), []);
+
+// What viewers of a link may see about it
+const toPublicShare = (link) => ({
+    mode: link.mode,
+    target: link.target,
+    team: link.team,
+    since: link.since,
+    until: link.until,
+    createdAt: link.createdAt,
+    expiresAt: link.expiresAt,
+});
+
+module.exports = {
+    SHARE_MODES,
+    parseShareInput,
+    createShareLink,
+    listShareLinks,
+    revokeShareLink,
+    resolveShareToken,
+    readSnapshot,
+    toPublicShare,
+};
@@ -0,0 +1,115 @@
+// ============================================================================
+// Token Check
+// ============================================================================
+// Verifies a profile's credentials against GitHub before they are saved, so a
+// typo or a missing scope is reported on the configuration form instead of
+// surfacing later as a failed metrics call. Checks:
+//   - the token is accepted (GET /user), and has not expired or is about to
+//   - classic PATs carry a scope that can read Copilot metrics
+//   - GitHub App credentials can be exchanged for an installation token
+//   - the org/enterprise/team metrics endpoint is reachable with this token
+const { GitHubApiError, githubGet } = require('./githubClient');
+const { usesAppAuth, getInstallationToken } = require('./githubAppAuth');
+const { metricsPath, describeTarget } = require('./metricsScope');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXPIRY_WARNING_DAYS = 7;
+
+// Classic PAT scopes that grant read access to Copilot metrics, per scope
+const ENTERPRISE_SCOPES = ['manage_billing:copilot', 'read:enterprise', 'admin:enterprise'];
+const REQUIRED_SCOPES = {
+    organization: ['manage_billing:copilot', 'read:org', 'admin:org'],
+    enterprise: ENTERPRISE_SCOPES,
+    'enterprise-team': ENTERPRISE_SCOPES,
+};
+
+// GitHub sends "2025-01-31 12:00:00 UTC"; returns an ISO string or null
+const parseExpiration = (value) => {
+    if (!value) return null;
+    const parsed = new Date(value.replace(' UTC', 'Z').replace(' ', 'T'));
+    return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString();
+};
+
+// Explain a failed metrics request in terms of what the admin has to fix
+const describeMetricsFailure = (error, target) => {
+    const label = describeTarget(target);
+    if (error.status === 404) return `${label} was not found, or the token cannot see it.`;
+    if (error.status === 403 && usesAppAuth(target)) return `The GitHub App is not allowed to read Copilot metrics for ${label} (check its organization permissions).`;
+    if (error.status === 403) return `The token is not allowed to read Copilot metrics for ${label}.`;
+    if (error.status === 422) return `Copilot Metrics API access is disabled for ${label} (check the Copilot policy settings).`;
+    return `GitHub could not return Copilot metrics for ${label} (${error.message}).`;
+};
+
+// Adds a problem to `result` unless one page of the profile's metrics can be read
+const checkMetricsAccess = async (profile, result) => {
+    try {
+        await githubGet(profile, metricsPath(profile), { params: new URLSearchParams({ per_page: '1' }), cache: false });
+    } catch (error) {
+        if (!(error instanceof GitHubApiError)) throw error;
+        result.problems.push(describeMetricsFailure(error, profile));
+    }
+    return result;
+};
+
+// ----------------------------------------------------------------------------
+// Check Token
+// ----------------------------------------------------------------------------
+// Input: profile fields ({ authType, token or appId/installationId/privateKey, apiBaseUrl, scope, org, enterprise, team })
+// Output: { problems: [...], warnings: [...], login, scopes, expiresAt }
+// Any entry in `problems` means the credentials should not be saved.
+const checkToken = async (profile) => {
+    const result = { problems: [], warnings: [], login: null, scopes: null, expiresAt: null };
+
+    // STEP 1: Are the credentials accepted at all? (GitHub Apps skip straight to STEP 4:
+    // installation tokens are renewed automatically and carry permissions, not scopes)
+    if (usesAppAuth(profile)) {
+        try {
+            await getInstallationToken(profile, { forceRefresh: true });
+        } catch (error) {
+            if (!(error instanceof GitHubApiError)) throw error;
+            result.problems.push(error.message);
+            return result;
+        }
+        return checkMetricsAccess(profile, result);
+    }
+    try {
+        const { data, headers } = await githubGet(profile, '/user', { cache: false });
+        result.login = data.login || null;
+        result.scopes = headers.scopes === null ? null : headers.scopes.split(',').map(scope => scope.trim()).filter(Boolean);
+        result.expiresAt = parseExpiration(headers.tokenExpiration);
+    } catch (error) {
+        if (!(error instanceof GitHubApiError)) throw error;
+        if (error.status === 401) {
+            result.problems.push('GitHub rejected the token: it is invalid, revoked or expired.');
+        } else if (error.status === 502 || error.status === 504) {
+            result.problems.push(`Could not reach GitHub to check the token (${error.message})`);
+        } else {
+            result.problems.push(`GitHub returned ${error.status} while checking the token.`);
+        }
+        return result;
+    }
+
+    // STEP 2: Expiry (only tokens with an expiration date report one)
+    if (result.expiresAt) {
+        const daysLeft = (new Date(result.expiresAt) - Date.now()) / DAY_MS;
+        if (daysLeft <= 0) {
+            result.problems.push(`The token expired on ${result.expiresAt.slice(0, 10)}.`);
+        } else if (daysLeft <= EXPIRY_WARNING_DAYS) {
+            result.warnings.push(`The token expires on ${result.expiresAt.slice(0, 10)}.`);
+        }
+    }
+
+    // STEP 3: Scopes (fine-grained tokens don't list scopes, so they skip this check)
+    const requiredScopes = REQUIRED_SCOPES[profile.scope] || REQUIRED_SCOPES.organization;
+    if (result.scopes && !requiredScopes.some(scope => result.scopes.includes(scope))) {
+        result.problems.push(`The token needs one of these scopes: ${requiredScopes.join(', ')} (it has: ${result.scopes.join(', ') || 'none'}).`);
+    }
+
+    // STEP 4: Can the token read the configured metrics endpoint?
+    return checkMetricsAccess(profile, result);
+};
+
+module.exports = {
+    REQUIRED_SCOPES,
+    checkToken,
+};
@@ -0,0 +1,175 @@
+// ============================================================================
+// Local User Store
+// ============================================================================
+// Dashboard users with scrypt-hashed passwords, persisted to DATA_DIR/users.json:
+//   [{ username, role, salt, passwordHash, createdAt, updatedAt }]
+// Roles: "admin" (may change configuration, profiles and users) and "viewer" (read-only).
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { dataPath, readJsonFile, updateJsonFile } = require('./dataStore');
+
+const scrypt = promisify(crypto.scrypt);
+
+const USERS_FILE = dataPath('users.json');
+const ROLES = ['admin', 'viewer'];
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{0,38}$/;
+const KEY_LENGTH = 64;
+
+// ----------------------------------------------------------------------------
+// Password Hashing
+// ----------------------------------------------------------------------------
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const key = await scrypt(password, salt, KEY_LENGTH);
+    return { salt, passwordHash: key.toString('hex') };
+};
+
+// Constant-time comparison against the stored hash
+const verifyPassword = async (user, password) => {
+    const key = await scrypt(password, user.salt, KEY_LENGTH);
+    const stored = Buffer.from(user.passwordHash, 'hex');
+    return stored.length === key.length && crypto.timingSafeEqual(stored, key);
+};
+
+// Hash compared against when the username doesn't exist, so both cases take as long
+const DUMMY_USER = { salt: 'dummy-salt', passwordHash: '00'.repeat(KEY_LENGTH) };
+
+// ----------------------------------------------------------------------------
+// Validate User Input
+// ----------------------------------------------------------------------------
+// Parses { username, password, role } from the user routes.
+// On update (`existing` given) the username is fixed and a missing password/role keeps the current one.
+// Returns { fields } on success or { error } describing the first problem found.
+const parseUserInput = (body, existing) => {
+    const username = existing ? existing.username : String(body.username || '').trim().toLowerCase();
+    const password = typeof body.password === 'string' && body.password ? body.password : null;
+    const role = body.role === undefined && existing ? existing.role : body.role || 'viewer';
+
+    if (!USERNAME_PATTERN.test(username)) {
+        return { error: 'Username must be 1-39 characters: letters, digits, ".", "_" or "-".' };
+    }
+    if (!existing && !password) {
+        return { error: 'Password is required.' };
+    }
+    if (password && password.length < MIN_PASSWORD_LENGTH) {
+        return { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` };
+    }
+    if (!ROLES.includes(role)) {
+        return { error: `Role must be one of: ${ROLES.join(', ')}.` };
+    }
+
+    return { fields: { username, password, role } };
+};
+
+// ----------------------------------------------------------------------------
+// CRUD Operations
+// ----------------------------------------------------------------------------
+const readUsers = () => readJsonFile(USERS_FILE, []);
+
+// Never send password hashes to the browser
+const toPublicUser = (user) => ({
+    username: user.username,
+    role: user.role,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt,
+});
+
+const listUsers = async () => (await readUsers()).map(toPublicUser);
+
+const findUser = async (username) => (await readUsers()).find(user => user.username === username) || null;
+
+// Create a user. Returns { user } or { error } if the username is taken.
+const createUser = async ({ username, password, role }) => {
+    const hashed = await hashPassword(password);
+    let result;
+    await updateJsonFile(USERS_FILE, [], (users) => {
+        if (users.some(user => user.username === username)) {
+            result = { error: `User "${username}" already exists.` };
+            return users;
+        }
+        const now = new Date().toISOString();
+        const user = { username, role, ...hashed, createdAt: now, updatedAt: now };
+        result = { user: toPublicUser(user) };
+        return [...users, user];
+    });
+    return result;
+};
+
+// Create the first admin, but only while there are no users at all (first-run setup)
+const createFirstAdmin = async ({ username, password }) => {
+    const hashed = await hashPassword(password);
+    let result;
+    await updateJsonFile(USERS_FILE, [], (users) => {
+        if (users.length > 0) {
+            result = { error: 'Setup has already been completed.' };
+            return users;
+        }
+        const now = new Date().toISOString();
+        const user = { username, role: 'admin', ...hashed, createdAt: now, updatedAt: now };
+        result = { user: toPublicUser(user) };
+        return [user];
+    });
+    return result;
+};
+
+// Change a user's password and/or role. Returns { user } or { error }.
+// The last admin can't be demoted, so the deployment always has someone who can manage it.
+const updateUser = async (username, { password, role }) => {
+    const hashed = password ? await hashPassword(password) : null;
+    let result;
+    await updateJsonFile(USERS_FILE, [], (users) => {
+        const existing = users.find(user => user.username === username);
+        if (!existing) {
+            result = { error: 'User not found.', status: 404 };
+            return users;
+        }
+        const admins = users.filter(user => user.role === 'admin');
+        if (existing.role === 'admin' && role !== 'admin' && admins.length === 1) {
+            result = { error: 'The last admin cannot be demoted.', status: 400 };
+            return users;
+        }
+        const updated = { ...existing, role, ...(hashed || {}), updatedAt: new Date().toISOString() };
+        result = { user: toPublicUser(updated) };
+        return users.map(user => (user.username === username ? updated : user));
+    });
+    return result;
+};
+
+// Delete a user. Returns { deleted: true } or { error } (unknown user, or the last admin).
+const deleteUser = async (username) => {
+    let result;
+    await updateJsonFile(USERS_FILE, [], (users) => {
+        const existing = users.find(user => user.username === username);
+        if (!existing) {
+            result = { error: 'User not found.', status: 404 };
+            return users;
+        }
+        if (existing.role === 'admin' && users.filter(user => user.role === 'admin').length === 1) {
+            result = { error: 'The last admin cannot be deleted.', status: 400 };
+            return users;
+        }
+        result = { deleted: true };
+        return users.filter(user => user.username !== username);
+    });
+    return result;
+};
+
+// Check a username/password pair. Resolves with the public user, or null if they don't match.
+const authenticateUser = async (username, password) => {
+    const user = await findUser(String(username || '').trim().toLowerCase());
+    const matches = await verifyPassword(user || DUMMY_USER, String(password || ''));
+    return user && matches ? toPublicUser(user) : null;
+};
+
+module.exports = {
+    ROLES,
+    parseUserInput,
+    listUsers,
+    findUser,
+    createUser,
+    createFirstAdmin,
+    updateUser,
+    deleteUser,
+    authenticateUser,
+};
@@ -0,0 +1,42 @@
+// ============================================================================
+// Webhook Delivery
+// ============================================================================
+// POSTs notifications to a URL as JSON, either as-is (generic webhooks) or as
+// a Slack-compatible incoming-webhook message ({ text }).
+const fetch = require('node-fetch');
+
+const WEBHOOK_FORMATS = ['generic', 'slack'];
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Resolves with { ok: true, status } or { ok: false, status, error }; never rejects,
+// so a broken webhook can't interrupt whatever triggered the notification.
+// `payload` is the generic JSON body; `text` is the one-line Slack message.
+const postWebhook = async (url, format, payload, text) => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(format === 'slack' ? { text } : payload),
+            signal: controller.signal,
+        });
+        if (!response.ok) {
+            return { ok: false, status: response.status, error: `Webhook responded with ${response.status}.` };
+        }
+        return { ok: true, status: response.status };
+    } catch (error) {
+        const message = error.name === 'AbortError'
+            ? `Webhook timed out after ${WEBHOOK_TIMEOUT_MS / 1000}s.`
+            : `Could not reach the webhook: ${error.message}`;
+        return { ok: false, status: null, error: message };
+    } finally {
+        clearTimeout(timeoutId);
+    }
+};
+
+module.exports = {
+    WEBHOOK_FORMATS,
+    postWebhook,
+};
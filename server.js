@@ -2,126 +2,1228 @@
 // STEP 1: Initialize Express Server and Dependencies
 // ============================================================================
 const express = require('express');
-const fetch = require('node-fetch');
 const path = require('path');
+const crypto = require('crypto');
+const { GitHubApiError, githubGet, githubGetAll } = require('./lib/githubClient');
+const { upsertDays, readHistory } = require('./lib/historyStore');
+const { parseDateRange, parseSource, parseMetricsQuery } = require('./lib/queryParams');
+const { parseInactiveDays, summarizeSeats } = require('./lib/seats');
+const { parseExportQuery, buildExportRows, renderExport, toCsv } = require('./lib/exporter');
+const { parseImportPayload } = require('./lib/metricsImport');
+const { pickDetails, recordAuditEvent, parseAuditQuery, queryAuditLog } = require('./lib/auditLog');
+const { validateMetrics, warningsHeader } = require('./lib/metricsSchema');
+const {
+    parseRuleInput, checkAlerts, sendTestNotification, toPublicRule, listRules, findRule,
+    createRule, updateRule, deleteRule, listAlertStates
+} = require('./lib/alerts');
+const {
+    REPORT_FORMATS, isEmailConfigured, createReport, listReports, findReport, readReport, getScheduleInfo,
+    startReportScheduler
+} = require('./lib/reports');
+const { renderMetrics } = require('./lib/prometheus');
+const { createMockGitHub } = require('./lib/mockGitHub');
+const { parseAssumptions, readAssumptions, saveAssumptions } = require('./lib/roi');
+const {
+    parseShareInput, createShareLink, listShareLinks, revokeShareLink, resolveShareToken, readSnapshot, toPublicShare
+} = require('./lib/shareLinks');
+const {
+    parseUserInput, listUsers, findUser, createUser, createFirstAdmin, updateUser, deleteUser, authenticateUser
+} = require('./lib/userStore');
+const {
+    createSession, getSession, destroySession, updateUserSessions, revokeUserSessions, readSessionId,
+    setSessionCookie, clearSessionCookie, isLoginBlocked, recordLoginFailure, clearLoginFailures
+} = require('./lib/sessions');
+const {
+    filterMetricsByDate, summarizeMetrics, GROUP_BY_OPTIONS, groupMetrics, estimateRoi
+} = require('./client/src/shared/metrics');
+const {
+    isTargetConfigured, metricsPath, teamsPath, seatsPath, billingPath, historyKey, describeTarget
+} = require('./lib/metricsScope');
+const {
+    DEFAULT_PROFILE_ID, parseProfileInput, hasCredentials, listProfiles, getProfile, createProfile,
+    updateProfile, deleteProfile, resolveProfileId, toPublicProfile, loadSavedProfiles, profileInputFromEnv
+} = require('./lib/profileStore');
+const { checkToken } = require('./lib/tokenCheck');
+const { DEFAULT_API_BASE_URL } = require('./lib/githubAppAuth');
+const { isEncryptionConfigured } = require('./lib/credentialCipher');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const GITHUB_API_BASE_URL = 'https://api.github.com';
+const DEMO_ENABLED = process.env.DEMO_MODE === 'true';  // Opt-in: never serve fake data by accident
 
-// In-memory storage for GitHub credentials (lost on server restart)
-let GITHUB_TOKEN = '';
-let ORG_NAME = '';
+// GitHub credentials live in named connection profiles (see lib/profileStore.js),
+// so several teams can share one deployment without overwriting each other
 
 // Middleware to parse JSON request bodies
+// Imported metrics files can be much larger than the default 100kb limit
+app.use('/api/import', express.json({ limit: '10mb' }));
 app.use(express.json());
 
+// Middleware to identify the signed-in user from the session cookie (see lib/sessions.js)
+// req.user is { username, role } or null
+app.use('/api', (req, res, next) => {
+    const session = getSession(readSessionId(req));
+    req.user = session ? { username: session.username, role: session.role } : null;
+    next();
+});
+
+// Middleware to require a signed-in user for every API route except /api/auth/* and
+// the share links opened by people without an account (/api/shared/*, see STEP 14)
+// The X-Auth-Required header tells the frontend to show the sign-in form
+// (a plain 401 also means "GitHub not configured yet"); refused requests are audited here,
+// since they never reach the routes' own audit() middleware
+app.use('/api', (req, res, next) => {
+    if (req.user || req.path.startsWith('/auth/') || req.path.startsWith('/shared/')) {
+        return next();
+    }
+    auditResponse(req, res, 'auth.required', { scoped: false });
+    res.set('X-Auth-Required', 'true');
+    res.status(401).json({ error: 'Please sign in.' });
+});
+
+// Middleware: only admins may change configuration, profiles and users
+const requireAdmin = (req, res, next) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Only admins can change the configuration.' });
+    }
+    next();
+};
+
+// Middleware to select the connection profile for each request
+// Clients pick one with the X-Profile-Id header (or ?profile= for plain links);
+// otherwise the default profile is used. req.profile is null if nothing matches.
+app.use('/api', (req, res, next) => {
+    const profileId = resolveProfileId(req.get('X-Profile-Id') || req.query.profile);
+    req.profile = profileId ? getProfile(profileId) : null;
+    next();
+});
+
+// Write the request to the audit log once its response is sent (see lib/auditLog.js and STEP 15);
+// used through the audit() middleware factory below, listed before requireAdmin/requireConfig
+// so refused requests are recorded too. Handlers may set res.locals.auditProfile (the profile they
+// created, changed or deleted, instead of req.profile), auditUser (who tried to sign in),
+// auditOrg, auditDetails, auditError and githubStatus; sendGitHubError sets githubStatus
+// for failed GitHub calls. `scoped: false` leaves the selected profile out, for actions
+// that don't concern it (users, alert rules, ROI assumptions...)
+const auditResponse = (req, res, action, { scoped = true } = {}) => {
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+        if (res.statusCode >= 400 && body && !res.locals.auditError) res.locals.auditError = body.error || body.message || null;
+        return sendJson(body);
+    };
+    res.on('finish', () => {
+        const selected = scoped ? req.profile : null;
+        const profile = res.locals.auditProfile !== undefined ? res.locals.auditProfile : selected;
+        recordAuditEvent({
+            ip: req.ip,
+            user: res.locals.auditUser || (req.user ? req.user.username : null),
+            action,
+            method: req.method,
+            path: req.route ? req.route.path : req.baseUrl + req.path,  // Route pattern, so share tokens stay out of the log
+            profileId: profile ? profile.id : null,
+            org: res.locals.auditOrg || (profile && isTargetConfigured(profile) ? describeTarget(profile) : null),
+            status: res.statusCode,
+            githubStatus: res.locals.githubStatus,
+            details: pickDetails(res.locals.auditDetails, req.params, req.query, req.body),
+            error: res.locals.auditError,
+        }).catch(error => console.error('Failed to write the audit log:', error));
+    });
+};
+
+const audit = (action, options) => (req, res, next) => {
+    auditResponse(req, res, action, options);
+    next();
+};
+
+// ============================================================================
+// STEP 1a: Authentication Endpoints - Sign In, Sign Out, First-Run Setup
+// ============================================================================
+// Timeline: Page load → GET /api/auth/session → Sign-in form (or setup form) → Dashboard
+
+// Who is signed in, and whether the first admin still has to be created
+app.get('/api/auth/session', async (req, res) => {
+    try {
+        const setupRequired = (await listUsers()).length === 0;
+        res.json({ authenticated: !!req.user, user: req.user, setupRequired });
+    } catch (storeError) {
+        console.error('Failed to read users:', storeError);
+        res.status(500).json({ error: 'Failed to read users.' });
+    }
+});
+
+// Body: { username, password }
+app.post('/api/auth/login', audit('auth.login', { scoped: false }), async (req, res) => {
+    if (typeof req.body.username === 'string') res.locals.auditUser = req.body.username;
+    if (isLoginBlocked(req.ip)) {
+        return res.status(429).json({ error: 'Too many failed sign-in attempts. Try again in a few minutes.' });
+    }
+
+    try {
+        const user = await authenticateUser(req.body.username, req.body.password);
+        if (!user) {
+            recordLoginFailure(req.ip);
+            console.warn(`Failed sign-in for "${req.body.username}" from ${req.ip}`);
+            return res.status(401).json({ error: 'Invalid username or password.' });
+        }
+
+        clearLoginFailures(req.ip);
+        setSessionCookie(res, createSession(user));
+        console.log(`User "${user.username}" signed in.`);
+        res.json({ authenticated: true, user: { username: user.username, role: user.role } });
+    } catch (storeError) {
+        console.error('Sign-in failed:', storeError);
+        res.status(500).json({ error: 'Sign-in failed.' });
+    }
+});
+
+app.post('/api/auth/logout', audit('auth.logout', { scoped: false }), (req, res) => {
+    destroySession(readSessionId(req));
+    clearSessionCookie(res);
+    res.status(204).end();
+});
+
+// Body: { username, password } — creates the first admin and signs them in; refused once any user exists
+app.post('/api/auth/setup', audit('auth.setup', { scoped: false }), async (req, res) => {
+    const { fields, error } = parseUserInput({ ...req.body, role: 'admin' });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const { user, error: setupError } = await createFirstAdmin(fields);
+        if (setupError) {
+            return res.status(409).json({ error: setupError });
+        }
+
+        setSessionCookie(res, createSession(user));
+        res.locals.auditUser = user.username;
+        console.log(`Admin "${user.username}" created during first-run setup.`);
+        res.status(201).json({ authenticated: true, user: { username: user.username, role: user.role } });
+    } catch (storeError) {
+        console.error('Setup failed:', storeError);
+        res.status(500).json({ error: 'Failed to create the admin user.' });
+    }
+});
+
 // ============================================================================
-// STEP 2: Configuration Endpoint - Store GitHub Token and Organization
+// STEP 1b: User Endpoints - Manage Dashboard Users (Admins Only)
+// ============================================================================
+// Body: { username, password, role: 'admin' | 'viewer' }
+// Users may change their own password; everything else needs an admin
+// Timeline: Admin opens "Manage users" → Frontend /api/users → These handlers
+
+// Turn a store result ({ error, status }) into a JSON error response
+const sendUserStoreError = (res, result) => res.status(result.status || 400).json({ error: result.error });
+
+app.get('/api/users', audit('user.list', { scoped: false }), requireAdmin, async (req, res) => {
+    try {
+        res.json(await listUsers());
+    } catch (storeError) {
+        console.error('Failed to read users:', storeError);
+        res.status(500).json({ error: 'Failed to read users.' });
+    }
+});
+
+app.post('/api/users', audit('user.create', { scoped: false }), requireAdmin, async (req, res) => {
+    const { fields, error } = parseUserInput(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const result = await createUser(fields);
+        if (result.error) {
+            return res.status(409).json({ error: result.error });
+        }
+        console.log(`User "${fields.username}" (${fields.role}) created by "${req.user.username}".`);
+        res.status(201).json(result.user);
+    } catch (storeError) {
+        console.error('Failed to create user:', storeError);
+        res.status(500).json({ error: 'Failed to create the user.' });
+    }
+});
+
+// Change a password and/or role (non-admins may only change their own password).
+// Body: { password, role, currentPassword } — currentPassword is required when changing your own password.
+app.put('/api/users/:username', audit('user.update', { scoped: false }), async (req, res) => {
+    const isSelf = req.params.username === req.user.username;
+    if (req.user.role !== 'admin' && (!isSelf || req.body.role !== undefined)) {
+        return res.status(403).json({ error: 'You can only change your own password.' });
+    }
+
+    try {
+        const existing = await findUser(req.params.username);
+        if (!existing) {
+            return res.status(404).json({ error: 'User not found.' });
+        }
+        const { fields, error } = parseUserInput(req.body, existing);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        // Changing your own password needs the current one, so a left-open session can't take over the account
+        if (isSelf && fields.password) {
+            if (isLoginBlocked(req.ip)) {
+                return res.status(429).json({ error: 'Too many failed sign-in attempts. Try again in a few minutes.' });
+            }
+            if (typeof req.body.currentPassword !== 'string' || !req.body.currentPassword) {
+                return res.status(400).json({ error: 'Enter your current password.' });
+            }
+            if (!await authenticateUser(existing.username, req.body.currentPassword)) {
+                recordLoginFailure(req.ip);
+                return res.status(403).json({ error: 'Current password is incorrect.' });
+            }
+        }
+
+        const result = await updateUser(existing.username, fields);
+        if (result.error) {
+            return sendUserStoreError(res, result);
+        }
+        updateUserSessions(existing.username, fields.role);
+        if (fields.password) {
+            // A new password signs the user out everywhere else (keeping the session that made the change)
+            revokeUserSessions(existing.username, isSelf ? readSessionId(req) : null);
+        }
+        res.json(result.user);
+    } catch (storeError) {
+        console.error('Failed to update user:', storeError);
+        res.status(500).json({ error: 'Failed to update the user.' });
+    }
+});
+
+app.delete('/api/users/:username', audit('user.delete', { scoped: false }), requireAdmin, async (req, res) => {
+    if (req.params.username === req.user.username) {
+        return res.status(400).json({ error: 'You cannot delete your own account.' });
+    }
+
+    try {
+        const result = await deleteUser(req.params.username);
+        if (result.error) {
+            return sendUserStoreError(res, result);
+        }
+        updateUserSessions(req.params.username, null);
+        console.log(`User "${req.params.username}" deleted by "${req.user.username}".`);
+        res.status(204).end();
+    } catch (storeError) {
+        console.error('Failed to delete user:', storeError);
+        res.status(500).json({ error: 'Failed to delete the user.' });
+    }
+});
+
+// ============================================================================
+// STEP 2: Configuration Endpoint - Store GitHub Token and Metrics Scope
 // ============================================================================
 // This endpoint is called when the user submits the configuration form
+// Body: { token, scope?, org?, enterprise?, team?, apiBaseUrl? } (scope defaults to 'organization'),
+// { authType: 'app', appId, installationId, privateKey, ... } for a GitHub App,
+// or { demo: true } for the bundled mock GitHub API (see STEP 17)
+// Saves into the selected profile, or creates the default profile on first use
+// The token is checked against GitHub first; problems come back as a 422 with `problems`
+// Admins only; viewers can read metrics but not change credentials
 // Timeline: User fills form → Frontend POST /api/config → This handler
-app.post('/api/config', (req, res) => {
-    const { token, org } = req.body;
 
-    // Validate that both token and org are provided
-    if (!token || !org) {
-        return res.status(400).json({ success: false, message: 'Token and Organization are required.' });
+// Check credentials against GitHub before saving them (see lib/tokenCheck.js)
+// Resolves with { problems, warnings, ... }; an unexpected failure counts as a problem
+const checkCredentials = async (fields) => {
+    try {
+        return await checkToken(fields);
+    } catch (error) {
+        console.error('Token check failed:', error);
+        return { problems: ['The token could not be checked against GitHub.'], warnings: [] };
     }
+};
 
-    // Store credentials in memory for subsequent API calls
-    GITHUB_TOKEN = token.trim();
-    ORG_NAME = org.trim();
-    console.log(`Token and Org set successfully. Org: ${ORG_NAME}`);
+// The demo organization on the mock API; any token works there
+const DEMO_PROFILE_INPUT = {
+    authType: 'token',
+    token: 'demo',
+    scope: 'organization',
+    org: 'demo-org',
+    apiBaseUrl: `http://127.0.0.1:${PORT}/mock-github`,
+};
+
+app.post('/api/config', audit('config.update'), requireAdmin, async (req, res) => {
+    const existing = req.profile;
+    if (!existing && (req.get('X-Profile-Id') || req.query.profile)) {
+        return res.status(404).json({ success: false, message: 'Profile not found.' });
+    }
+
+    if (req.body.demo && !DEMO_ENABLED) {
+        return res.status(400).json({ success: false, message: 'Demo mode is not enabled on this server (set DEMO_MODE=true).' });
+    }
+    const input = req.body.demo ? DEMO_PROFILE_INPUT : req.body;
+
+    // Validate the token, scope and its org/enterprise/team fields
+    const { fields, error } = parseProfileInput({ name: existing ? existing.name : 'Default', ...input }, existing);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+
+    // Check the token, its scopes and expiry, and that the org/enterprise is reachable
+    const check = await checkCredentials(fields);
+    if (check.problems.length > 0) {
+        return res.status(422).json({ success: false, message: 'The token check failed.', problems: check.problems });
+    }
+
+    // Store credentials in memory (and encrypted on disk if configured) for subsequent API calls
+    const profile = existing
+        ? updateProfile(existing.id, fields)
+        : createProfile(fields, DEFAULT_PROFILE_ID);
+    res.locals.auditProfile = profile;
+    console.log(`Token and scope set successfully for profile "${profile.name}". ${describeTarget(profile)}`);
 
     // Respond to frontend that configuration was successful
-    res.json({ success: true, message: 'Configuration saved. You can now fetch data.' });
+    res.json({
+        success: true,
+        message: 'Configuration saved. You can now fetch data.',
+        profileId: profile.id,
+        warnings: check.warnings,
+    });
 });
 
 // ============================================================================
 // STEP 2a: Check Configuration Status
 // ============================================================================
 // This endpoint allows the frontend to check if credentials are already configured
+// for the selected profile
 // Timeline: Page load → Frontend GET /api/config → This handler
 app.get('/api/config', (req, res) => {
+    const profile = req.profile;
+    if (!profile) {
+        return res.json({
+            hasToken: false, profileId: null, authType: 'token', appId: '', installationId: '', scope: 'organization',
+            orgName: '', enterpriseName: '', teamSlug: '', apiBaseUrl: '', label: '',
+            defaultApiBaseUrl: DEFAULT_API_BASE_URL, demoAvailable: DEMO_ENABLED
+        });
+    }
+
     res.json({
-        hasToken: !!GITHUB_TOKEN,  // Boolean: is token configured?
-        orgName: ORG_NAME           // Return org name if set
+        hasToken: hasCredentials(profile),  // Boolean: is a token (or GitHub App) configured?
+        profileId: profile.id,              // Profile these settings belong to
+        authType: profile.authType || 'token',  // 'token' (PAT) or 'app' (GitHub App installation)
+        appId: profile.appId || '',         // GitHub App ID (app auth only)
+        installationId: profile.installationId || '',  // GitHub App installation ID (app auth only)
+        scope: profile.scope,               // 'organization', 'enterprise' or 'enterprise-team'
+        orgName: profile.org,               // Return org name if set
+        enterpriseName: profile.enterprise, // Return enterprise slug if set
+        teamSlug: profile.team,             // Enterprise team slug (enterprise-team scope only)
+        apiBaseUrl: profile.apiBaseUrl || '',  // This profile's API URL ('' uses the server default)
+        label: isTargetConfigured(profile) ? describeTarget(profile) : '',
+        defaultApiBaseUrl: DEFAULT_API_BASE_URL,  // GITHUB_API_URL or https://api.github.com
+        demoAvailable: DEMO_ENABLED         // Whether "Use Demo Data" may be offered (see STEP 17)
     });
 });
 
 // ============================================================================
-// STEP 3: Metrics Proxy Endpoint - Fetch Data from GitHub API
+// STEP 2b: Connection Profile Endpoints - Create/List/Update/Delete Profiles
+// ============================================================================
+// Body: { name, token, scope, org?, enterprise?, team?, apiBaseUrl? }
+// Tokens are write-only: responses only say whether one is stored; only admins may change profiles
+// Timeline: User opens "Manage profiles" → Frontend /api/profiles → These handlers
+
+// List profiles (without tokens)
+app.get('/api/profiles', (req, res) => {
+    res.json(listProfiles().map(toPublicProfile));
+});
+
+// Create a profile
+app.post('/api/profiles', audit('profile.create'), requireAdmin, async (req, res) => {
+    res.locals.auditProfile = null;  // Not the selected profile, even if the new one is refused
+    const { fields, error } = parseProfileInput(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const check = await checkCredentials(fields);
+    if (check.problems.length > 0) {
+        return res.status(422).json({ error: check.problems.join(' '), problems: check.problems });
+    }
+
+    const profile = createProfile(fields);
+    res.locals.auditProfile = profile;
+    console.log(`Profile "${profile.name}" created. ${describeTarget(profile)}`);
+    res.status(201).json(toPublicProfile(profile));
+});
+
+// Update a profile (omitted fields and a blank token keep their current values)
+app.put('/api/profiles/:id', audit('profile.update'), requireAdmin, async (req, res) => {
+    const existing = getProfile(req.params.id);
+    if (!existing) {
+        return res.status(404).json({ error: 'Profile not found.' });
+    }
+    res.locals.auditProfile = existing;
+
+    const { fields, error } = parseProfileInput(req.body, existing);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const check = await checkCredentials(fields);
+    if (check.problems.length > 0) {
+        return res.status(422).json({ error: check.problems.join(' '), problems: check.problems });
+    }
+
+    const profile = updateProfile(existing.id, fields);
+    res.locals.auditProfile = profile;
+    console.log(`Profile "${profile.name}" updated. ${describeTarget(profile)}`);
+    res.json(toPublicProfile(profile));
+});
+
+// Delete a profile
+app.delete('/api/profiles/:id', audit('profile.delete'), requireAdmin, (req, res) => {
+    res.locals.auditProfile = getProfile(req.params.id);
+    if (!deleteProfile(req.params.id)) {
+        return res.status(404).json({ error: 'Profile not found.' });
+    }
+    res.status(204).end();
+});
+
+// ============================================================================
+// STEP 3: GitHub Request Helpers
+// ============================================================================
+// Shared by every route that proxies the GitHub API, so the token never leaves the server
+
+// Requests go through lib/githubClient.js, which caches responses (ETag revalidation),
+// retries rate-limited or failed calls with backoff and follows Link pagination.
+// Failures reject with a GitHubApiError carrying the status to send back.
+
+// STEP 3a: Send a failed GitHub request to the frontend as a JSON error
+// Always responds, so the browser never waits on a request that went wrong
+const sendGitHubError = (res, error, message) => {
+    if (!(error instanceof GitHubApiError)) {
+        console.error(message, error);
+        return res.status(500).json({ error: message, details: error.message });
+    }
+    res.locals.githubStatus = error.status;  // Recorded in the audit log
+    res.status(error.status).json({ ...error.toJSON(), error: `${message} ${error.message}` });
+};
+
+// STEP 3b: Fetch the Copilot metrics of the profile's target (or one of its teams),
+// store the days in the history and check the alert rules
+// `range` ({ since, until }, YYYY-MM-DD) is what the caller asked for, for the missing-days check
+// Resolves with { metrics, schemaVersion, warnings }; rejects with a GitHubApiError
+const fetchMetricsData = async (profile, team, params, range = {}) => {
+    // Make authenticated request to GitHub API, forwarding the validated parameters
+    // This is where the server acts as a proxy, keeping the token secure
+    const { data } = await githubGet(profile, metricsPath(profile, team), { params });
+    // console.log('GitHub API Response Data:', JSON.stringify(data, null, 2)); // Debug log
+
+    // Check the response once (see lib/metricsSchema.js) and log what doesn't match the schema
+    const { schemaVersion, warnings } = validateMetrics(data, range);
+    warnings
+        .filter(warning => warning.code === 'schema' || warning.code === 'unknown_fields')
+        .forEach(warning => console.warn(`${describeTarget(profile)}${team ? ` / team ${team}` : ''}: ${warning.message}`));
+
+    // Persist each day to the on-disk history (GitHub only keeps 28 days)
+    // A storage failure is logged but never blocks the live response
+    try {
+        await upsertDays(historyKey(profile, team), data);
+    } catch (storeError) {
+        console.error('Failed to persist metrics history:', storeError);
+    }
+
+    // Evaluate alert rules against the updated history in the background (see lib/alerts.js)
+    checkAlerts(profile, team).catch(alertError => console.error('Failed to evaluate alert rules:', alertError));
+
+    return { metrics: data, schemaVersion, warnings };
+};
+
+// STEP 3c: Send a metrics array with its data-quality warnings (validateMetrics' result)
+// The body stays GitHub's array; the warnings travel in the X-Metrics-Warnings header (JSON)
+const sendMetrics = (res, metrics, { schemaVersion, warnings }) => {
+    res.set('X-Metrics-Schema-Version', schemaVersion);
+    res.set('X-Metrics-Warnings', warningsHeader(warnings));
+    res.json(metrics);
+};
+
+// STEP 3d: Proxy a Copilot metrics endpoint (org, enterprise or team) to the frontend
+// Validates the query, forwards it to GitHub, stores the days, returns the data
+const proxyMetrics = async (req, res, team) => {
+    // Validate the optional since/until/per_page/page query parameters
+    const { params, error: queryError } = parseMetricsQuery(req.query);
+    if (queryError) {
+        return res.status(400).json({ error: queryError });
+    }
+
+    try {
+        // Forward the GitHub API response to the frontend
+        const { metrics, ...validation } = await fetchMetricsData(req.profile, team, params, { since: req.query.since, until: req.query.until });
+        res.locals.githubStatus = 200;
+        sendMetrics(res, metrics, validation);
+    } catch (error) {
+        // GitHub API errors (403 Forbidden, 404 Not Found, rate limits, timeouts, etc.)
+        sendGitHubError(res, error, 'Failed to fetch metrics from GitHub API.');
+    }
+};
+
+// STEP 3e: Load raw metrics for exports and summaries, live from GitHub or from the stored history
+// `since`/`until` must already be validated; the metrics only contain days inside the window
+// Resolves with { metrics, schemaVersion, warnings } (as fetchMetricsData)
+const loadMetrics = async (profile, { source, team, since, until }) => {
+    if (source === 'history') {
+        const metrics = await readHistory(historyKey(profile, team), { since, until });
+        return { metrics, ...validateMetrics(metrics, { since, until }) };
+    }
+    const { params } = parseMetricsQuery({ since, until });
+    const { metrics, ...validation } = await fetchMetricsData(profile, team, params, { since, until });
+    return { metrics: filterMetricsByDate(metrics, { since, until }), ...validation };
+};
+
+// Middleware: reject requests until the selected profile has credentials and org/enterprise
+const requireConfig = (req, res, next) => {
+    if (!req.profile || !hasCredentials(req.profile) || !isTargetConfigured(req.profile)) {
+        return res.status(401).json({ error: 'GitHub Token or Organization/Enterprise not set. Please configure the app first.' });
+    }
+    next();
+};
+
+// Profiles that can fetch metrics on their own (scheduled reports and the Prometheus exporter)
+const configuredProfiles = () => listProfiles().filter(profile => hasCredentials(profile) && isTargetConfigured(profile));
+
+// ============================================================================
+// STEP 4: Metrics Proxy Endpoint - Fetch Data from GitHub API
 // ============================================================================
 // This is the core proxy endpoint that securely fetches Copilot metrics
 // Timeline: User clicks "Load Metrics" → Frontend GET /api/copilot-metrics → This handler
-app.get('/api/copilot-metrics', async (req, res) => {
-    // STEP 3a: Verify credentials are configured
-    if (!GITHUB_TOKEN || !ORG_NAME) {
-        return res.status(401).json({ error: 'GitHub Token or Organization Name not set. Please configure the app first.' });
-    }
-
-    // STEP 3b: Construct GitHub API URL for Copilot metrics
-    const githubUrl = `${GITHUB_API_BASE_URL}/orgs/${ORG_NAME}/copilot/metrics`;
-
-    // STEP 3c: Set up timeout controller (5 second limit)
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 5000);
-
-    try {
-        // STEP 3d: Make authenticated request to GitHub API
-        // This is where the server acts as a proxy, keeping the token secure
-        const response = await fetch(githubUrl, {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${GITHUB_TOKEN}`,      // Authenticate with stored token
-                'Accept': 'application/vnd.github.v3+json',     // Request JSON response
-                'X-GitHub-Api-Version': '2022-11-28'            // Specify API version
-            },
-            signal: controller.signal  // Enable timeout cancellation
+// The GitHub path follows the configured scope (org, enterprise or enterprise team)
+app.get('/api/copilot-metrics', audit('metrics.fetch'), requireConfig, (req, res) => (
+    proxyMetrics(req, res)
+));
+
+// ============================================================================
+// STEP 5: Team Endpoints - List Teams and Fetch Team Metrics
+// ============================================================================
+// Timeline: Dashboard loads → GET /api/teams → Team dropdown / comparison view
+
+// STEP 5a: List the org's (or enterprise's) teams across all pages
+app.get('/api/teams', audit('teams.fetch'), requireConfig, async (req, res) => {
+    // An enterprise-team target is already a single team, so there is nothing to pick from
+    if (req.profile.team) {
+        return res.json([]);
+    }
+
+    try {
+        const teams = await githubGetAll(req.profile, teamsPath(req.profile));
+        res.locals.githubStatus = 200;
+
+        // Only forward the fields the frontend needs
+        res.json(teams.map(team => ({ slug: team.slug, name: team.name })));
+    } catch (error) {
+        sendGitHubError(res, error, 'Failed to fetch teams from GitHub API.');
+    }
+});
+
+// STEP 5b: Proxy Copilot metrics for a single team (same query parameters as STEP 4)
+app.get('/api/teams/:teamSlug/copilot-metrics', audit('metrics.fetch'), requireConfig, (req, res) => {
+    return proxyMetrics(req, res, req.params.teamSlug);
+});
+
+// ============================================================================
+// STEP 6: Billing Endpoints - Copilot Plan and Seat Assignments
+// ============================================================================
+// Timeline: User opens the Seats view → GET /api/billing + /api/billing/seats → Seat report
+
+// STEP 6a: Proxy the org's Copilot billing summary (plan, seat breakdown, policies)
+app.get('/api/billing', audit('seats.fetch'), requireConfig, async (req, res) => {
+    const apiPath = billingPath(req.profile);
+    if (!apiPath) {
+        return res.status(400).json({ error: 'GitHub only provides a Copilot billing summary for organizations.' });
+    }
+
+    try {
+        const { data } = await githubGet(req.profile, apiPath);
+        res.locals.githubStatus = 200;
+        res.json(data);
+    } catch (error) {
+        sendGitHubError(res, error, 'Failed to fetch Copilot billing from GitHub API.');
+    }
+});
+
+// STEP 6b: Fetch every seat assignment and build the inactive-seat report
+// Query: ?inactiveDays=30 (seats without activity for at least this many days are flagged)
+app.get('/api/billing/seats', audit('seats.fetch'), requireConfig, async (req, res) => {
+    const { inactiveDays, error } = parseInactiveDays(req.query.inactiveDays);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const seats = await githubGetAll(req.profile, seatsPath(req.profile), body => body.seats);
+        res.locals.githubStatus = 200;
+        res.json(summarizeSeats(seats, inactiveDays));
+    } catch (fetchError) {
+        sendGitHubError(res, fetchError, 'Failed to fetch Copilot seats from GitHub API.');
+    }
+});
+
+// ============================================================================
+// STEP 7: History Endpoint - Serve Stored Daily Metrics
+// ============================================================================
+// Returns every stored day for the configured scope (or ?team=), optionally limited by ?since=&until=
+// Timeline: User picks a history range → Frontend GET /api/history → This handler
+app.get('/api/history', audit('metrics.fetch'), async (req, res) => {
+    if (!req.profile || !isTargetConfigured(req.profile)) {
+        return res.status(401).json({ error: 'Organization/Enterprise not set. Please configure the app first.' });
+    }
+
+    // STEP 7a: Validate the requested date range
+    const { since, until, error } = parseDateRange(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    // STEP 7b: Read the stored days (same shape as the GitHub API response)
+    try {
+        const days = await readHistory(historyKey(req.profile, req.query.team), { since, until });
+        sendMetrics(res, days, validateMetrics(days, { since, until }));
+    } catch (storeError) {
+        console.error('Failed to read metrics history:', storeError);
+        res.status(500).json({ error: 'Failed to read stored metrics history.' });
+    }
+});
+
+// ============================================================================
+// STEP 8: Export Endpoint - Download Dashboard Data as CSV, JSON or XLSX
+// ============================================================================
+// Query: ?dataset=daily|languages|chat|engagement|pull_requests|editors|models|raw
+//        &format=csv|json|xlsx &source=live|history &team= &since= &until=
+// Exports the same series the dashboard charts show (built with the shared transforms)
+// Timeline: User clicks a download button on a chart → GET /api/export → File download
+app.get('/api/export', audit('metrics.export'), requireConfig, async (req, res) => {
+    // STEP 8a: Validate the export options and the date range
+    const { dataset, format, source, error } = parseExportQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const { since, until, error: rangeError } = parseDateRange(req.query);
+    if (rangeError) {
+        return res.status(400).json({ error: rangeError });
+    }
+
+    try {
+        // STEP 8b: Load raw metrics from GitHub (live) or from the stored history
+        const { metrics } = await loadMetrics(req.profile, { source, team: req.query.team, since, until });
+        res.locals.githubStatus = source === 'live' ? 200 : null;
+
+        // STEP 8c: Build the dataset rows and send them as a download
+        const rows = buildExportRows(metrics, dataset);
+        const file = await renderExport(rows, dataset, format);
+        const filename = `copilot-${dataset}-${since || 'start'}-to-${until || 'latest'}.${file.extension}`;
+
+        res.set('Content-Type', file.contentType);
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(file.body);
+    } catch (exportError) {
+        sendGitHubError(res, exportError, 'Failed to build the export.');
+    }
+});
+
+// ============================================================================
+// STEP 9: Summary Endpoint - Headline Numbers and Grouped Totals as JSON
+// ============================================================================
+// Query: ?groupBy=day|week|month|language|editor|model (default day)
+//        &source=live|history &team= &since= &until=
+// Returns the numbers on the dashboard's MetricCards (same shared transforms) plus one
+// row per group, so other tools can reuse them without scraping the UI, and the
+// data-quality warnings for the window (see lib/metricsSchema.js)
+app.get('/api/summary', audit('metrics.summary'), requireConfig, async (req, res) => {
+    // STEP 9a: Validate the grouping, source and date range
+    const groupBy = req.query.groupBy || 'day';
+    if (!GROUP_BY_OPTIONS.includes(groupBy)) {
+        return res.status(400).json({ error: `\`groupBy\` must be one of: ${GROUP_BY_OPTIONS.join(', ')}.` });
+    }
+    const { source, error: sourceError } = parseSource(req.query.source);
+    if (sourceError) {
+        return res.status(400).json({ error: sourceError });
+    }
+    const { since, until, error: rangeError } = parseDateRange(req.query);
+    if (rangeError) {
+        return res.status(400).json({ error: rangeError });
+    }
+
+    try {
+        // STEP 9b: Load the metrics and aggregate them
+        const team = req.query.team || null;
+        const { metrics, schemaVersion, warnings } = await loadMetrics(req.profile, { source, team, since, until });
+        res.locals.githubStatus = source === 'live' ? 200 : null;
+        res.json({
+            scope: describeTarget(req.profile),
+            team,
+            source,
+            groupBy,
+            totals: summarizeMetrics(metrics),
+            groups: groupMetrics(metrics, groupBy),
+            schemaVersion,
+            warnings,
         });
+    } catch (summaryError) {
+        sendGitHubError(res, summaryError, 'Failed to build the summary.');
+    }
+});
 
-        clearTimeout(timeoutId);  // Cancel timeout if request completes
+// ============================================================================
+// STEP 10: Alert Endpoints - Threshold Rules and Their Firing/Resolved State
+// ============================================================================
+// Rules are evaluated after every metrics fetch (see STEP 3b and lib/alerts.js)
+// Everyone signed in sees the alert states; only admins manage rules and see webhook URLs
+// Timeline: Alerts tab → GET /api/alerts → Admin edits a rule → POST/PUT/DELETE /api/alerts/rules
+
+// Validate a rule body (see parseRuleInput); a rule limited to one profile needs that profile to exist
+const parseAlertRule = (body, existing) => {
+    const result = parseRuleInput(body, existing);
+    if (result.fields && result.fields.profileId && !getProfile(result.fields.profileId)) {
+        return { error: 'Profile not found.' };
+    }
+    return result;
+};
 
-        // STEP 3e: Handle GitHub API errors (403 Forbidden, 404 Not Found, etc.)
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error(`GitHub API Error (${response.status}): ${errorText}`);
-            return res.status(response.status).json({
-                error: 'Failed to fetch metrics from GitHub API.',
-                details: errorText
-            });
+// STEP 10a: List rules and the current alert states
+app.get('/api/alerts', async (req, res) => {
+    try {
+        const [rules, alerts] = await Promise.all([listRules(), listAlertStates()]);
+        res.json({ rules: rules.map(rule => toPublicRule(rule, req.user.role === 'admin')), alerts });
+    } catch (storeError) {
+        console.error('Failed to read alerts:', storeError);
+        res.status(500).json({ error: 'Failed to read alerts.' });
+    }
+});
+
+// STEP 10b: Create, update and delete rules
+// Body: { name, type, threshold?, days?, language?, profileId?, team?, webhookUrl?, webhookFormat?, enabled? }
+app.post('/api/alerts/rules', audit('alert.create', { scoped: false }), requireAdmin, async (req, res) => {
+    const { fields, error } = parseAlertRule(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const rule = await createRule(fields);
+        console.log(`Alert rule "${rule.name}" created by "${req.user.username}".`);
+        res.status(201).json(toPublicRule(rule, true));
+    } catch (storeError) {
+        console.error('Failed to create alert rule:', storeError);
+        res.status(500).json({ error: 'Failed to save the alert rule.' });
+    }
+});
+
+app.put('/api/alerts/rules/:id', audit('alert.update', { scoped: false }), requireAdmin, async (req, res) => {
+    try {
+        const existing = await findRule(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Alert rule not found.' });
         }
 
-        // STEP 3f: Parse and log the successful response
-        const data = await response.json();
-        // console.log('GitHub API Response Data:', JSON.stringify(data, null, 2)); // Debug log
+        const { fields, error } = parseAlertRule(req.body, existing);
+        if (error) {
+            return res.status(400).json({ error });
+        }
 
-        // STEP 3g: Forward the GitHub API response to the frontend
-        res.json(data);
+        const rule = await updateRule(existing.id, fields);
+        console.log(`Alert rule "${rule.name}" updated by "${req.user.username}".`);
+        res.json(toPublicRule(rule, true));
+    } catch (storeError) {
+        console.error('Failed to update alert rule:', storeError);
+        res.status(500).json({ error: 'Failed to save the alert rule.' });
+    }
+});
 
-    } catch (error) {
-        clearTimeout(timeoutId);
+app.delete('/api/alerts/rules/:id', audit('alert.delete', { scoped: false }), requireAdmin, async (req, res) => {
+    try {
+        if (!(await deleteRule(req.params.id))) {
+            return res.status(404).json({ error: 'Alert rule not found.' });
+        }
+        res.status(204).end();
+    } catch (storeError) {
+        console.error('Failed to delete alert rule:', storeError);
+        res.status(500).json({ error: 'Failed to delete the alert rule.' });
+    }
+});
+
+// STEP 10c: Send a test notification to a rule's webhook
+app.post('/api/alerts/rules/:id/test', audit('alert.test', { scoped: false }), requireAdmin, async (req, res) => {
+    try {
+        const rule = await findRule(req.params.id);
+        if (!rule) {
+            return res.status(404).json({ error: 'Alert rule not found.' });
+        }
+        if (!rule.webhookUrl) {
+            return res.status(400).json({ error: 'This rule has no webhook URL.' });
+        }
+
+        const delivery = await sendTestNotification(rule);
+        res.status(delivery.ok ? 200 : 502).json(delivery);
+    } catch (storeError) {
+        console.error('Failed to read alert rule:', storeError);
+        res.status(500).json({ error: 'Failed to read the alert rule.' });
+    }
+});
+
+// ============================================================================
+// STEP 11: Report Endpoints - Weekly Digests (HTML and Markdown)
+// ============================================================================
+// Digests are generated on the REPORT_SCHEDULE cron schedule for every configured profile
+// (see STEP 20 and lib/reports.js), or on demand by an admin for the selected profile
+// Timeline: Reports tab → GET /api/reports → User opens a report → GET /api/reports/:id?format=html
+
+// Reports belong to the profile they were generated for and, like its metrics, are only
+// served when that profile is the selected one
+const isActiveProfileReport = (req, report) => Boolean(req.profile) && report.profileId === req.profile.id;
+
+// STEP 11a: List the selected profile's saved reports, the schedule and whether reports are emailed
+app.get('/api/reports', audit('report.list'), async (req, res) => {
+    try {
+        const reports = (await listReports()).filter(report => isActiveProfileReport(req, report));
+        res.json({ schedule: getScheduleInfo(), email: isEmailConfigured(), reports });
+    } catch (storeError) {
+        console.error('Failed to read reports:', storeError);
+        res.status(500).json({ error: 'Failed to read reports.' });
+    }
+});
+
+// STEP 11b: Serve one report: its metadata as JSON, or ?format=html|markdown
+app.get('/api/reports/:id', audit('report.read'), async (req, res) => {
+    const format = req.query.format;
+    if (format !== undefined && !REPORT_FORMATS[format]) {
+        return res.status(400).json({ error: `Format must be one of: ${Object.keys(REPORT_FORMATS).join(', ')}.` });
+    }
+
+    try {
+        const report = await findReport(req.params.id);
+        if (!report || !isActiveProfileReport(req, report)) {
+            return res.status(404).json({ error: 'Report not found.' });
+        }
+        res.locals.auditOrg = report.target;
+        if (!format) {
+            return res.json(report);
+        }
+
+        const contents = await readReport(report, format);
+        if (format === 'markdown') {
+            res.attachment(`copilot-digest-${report.id}.md`);
+            return res.type('text/markdown').send(contents);
+        }
+        res.type('html').send(contents);
+    } catch (storeError) {
+        console.error('Failed to read report:', storeError);
+        res.status(500).json({ error: 'Failed to read the report.' });
+    }
+});
+
+// STEP 11c: Generate a report for the selected profile now (also emailed if SMTP is configured)
+app.post('/api/reports', audit('report.create'), requireAdmin, requireConfig, async (req, res) => {
+    try {
+        const { metrics } = await fetchMetricsData(req.profile, '', null);
+        const { report, error } = await createReport(req.profile, metrics, 'manual');
+        res.locals.githubStatus = 200;
+        if (error) {
+            return res.status(422).json({ error });
+        }
+        res.status(201).json(report);
+    } catch (reportError) {
+        sendGitHubError(res, reportError, 'Failed to generate the report.');
+    }
+});
+
+// ============================================================================
+// STEP 12: Prometheus Endpoint - Copilot Gauges and Exporter Health
+// ============================================================================
+// Text exposition format for Prometheus scrapes (see lib/prometheus.js), outside /api
+// because scrapers can't sign in: it is enabled by METRICS_TOKEN and needs
+// "Authorization: Bearer <METRICS_TOKEN>" (bearer_token / authorization in the scrape config)
+// Timeline: Prometheus scrape → GET /metrics → stale targets refreshed from GitHub → gauges rendered
+const metricsTokenMatches = (header) => {
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(header || ''), digest(`Bearer ${process.env.METRICS_TOKEN}`));
+};
+
+app.get('/metrics', audit('metrics.scrape', { scoped: false }), async (req, res) => {
+    if (!process.env.METRICS_TOKEN) {
+        return res.status(404).type('text/plain').send('The Prometheus endpoint is disabled. Set METRICS_TOKEN to enable it.\n');
+    }
+    if (!metricsTokenMatches(req.get('Authorization'))) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).type('text/plain').send('Unauthorized\n');
+    }
+
+    res.locals.auditOrg = configuredProfiles().map(describeTarget).join(', ') || null;
+    try {
+        const body = await renderMetrics({
+            getProfiles: configuredProfiles,
+            fetchMetrics: async profile => (await fetchMetricsData(profile, '', null)).metrics,
+        });
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8').send(body);
+    } catch (metricsError) {
+        console.error('Failed to render Prometheus metrics:', metricsError);
+        res.status(500).type('text/plain').send('Failed to render metrics.\n');
+    }
+});
+
+// ============================================================================
+// STEP 13: ROI Endpoints - Shared Assumptions and Estimated Time Saved
+// ============================================================================
+// Everyone reads the same assumptions; only admins change them
+// Timeline: ROI tab → GET /api/roi (assumptions + estimates) → Admin edits → PUT /api/roi/assumptions
+
+// STEP 13a: Read and update the assumptions
+app.get('/api/roi/assumptions', async (req, res) => {
+    try {
+        res.json(await readAssumptions());
+    } catch (storeError) {
+        console.error('Failed to read ROI assumptions:', storeError);
+        res.status(500).json({ error: 'Failed to read the ROI assumptions.' });
+    }
+});
+
+// Body: { minutesPerAcceptedLine?, minutesPerChat?, hourlyCost?, seatPrice?, licensedSeats? }
+app.put('/api/roi/assumptions', audit('roi.update', { scoped: false }), requireAdmin, async (req, res) => {
+    try {
+        const { fields, error } = parseAssumptions(req.body, await readAssumptions());
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const assumptions = await saveAssumptions(fields, req.user.username);
+        console.log(`ROI assumptions updated by "${req.user.username}".`);
+        res.json(assumptions);
+    } catch (storeError) {
+        console.error('Failed to save ROI assumptions:', storeError);
+        res.status(500).json({ error: 'Failed to save the ROI assumptions.' });
+    }
+});
+
+// STEP 13b: Estimate hours saved and cost-benefit per month
+// Query: ?source=live|history &team= &since= &until= (as for /api/summary)
+// Seat cost uses the licensed seats from the assumptions, else the org's billed seats
+// (seat_breakdown.total of /copilot/billing), else the peak of daily active users, which is
+// all there is for teams and enterprises; `seatsSource` says which one was used
+
+// Resolves with { seats, seatsSource } for the whole org/enterprise, or the fallback for a team
+const resolveRoiSeats = async (profile, team, assumptions) => {
+    if (team) return { seats: null, seatsSource: 'active_users' };
+    if (assumptions.licensedSeats > 0) return { seats: assumptions.licensedSeats, seatsSource: 'assumptions' };
+
+    const apiPath = billingPath(profile);
+    if (apiPath) {
+        try {
+            const { data } = await githubGet(profile, apiPath);
+            if (data.seat_breakdown && Number.isInteger(data.seat_breakdown.total)) {
+                return { seats: data.seat_breakdown.total, seatsSource: 'billing' };
+            }
+        } catch (error) {
+            console.warn(`ROI: no billed seat count for ${describeTarget(profile)} (${error.message}); using active users.`);
+        }
+    }
+    return { seats: null, seatsSource: 'active_users' };
+};
+app.get('/api/roi', audit('metrics.summary'), requireConfig, async (req, res) => {
+    const { source, error: sourceError } = parseSource(req.query.source);
+    if (sourceError) {
+        return res.status(400).json({ error: sourceError });
+    }
+    const { since, until, error: rangeError } = parseDateRange(req.query);
+    if (rangeError) {
+        return res.status(400).json({ error: rangeError });
+    }
+
+    try {
+        const team = req.query.team || null;
+        const [assumptions, { metrics }] = await Promise.all([
+            readAssumptions(),
+            loadMetrics(req.profile, { source, team, since, until }),
+        ]);
+        const { seats, seatsSource } = await resolveRoiSeats(req.profile, team, assumptions);
+        res.locals.githubStatus = source === 'live' || seatsSource === 'billing' ? 200 : null;
+        const { months, totals } = estimateRoi(metrics, assumptions, seats);
+        res.json({ scope: describeTarget(req.profile), team, source, assumptions, seatsSource, months, totals });
+    } catch (roiError) {
+        sendGitHubError(res, roiError, 'Failed to estimate the ROI.');
+    }
+});
+
+// ============================================================================
+// STEP 14: Share Link Endpoints - Read-Only Views for People Without an Account
+// ============================================================================
+// Admins create signed, expiring links to a snapshot or a live view of the selected profile's
+// metrics (see lib/shareLinks.js); /share/<token> and the /embed/<token>/<widget> iframe pages
+// read them from the public GET /api/shared/<token>, which never exposes the profile itself
+// Timeline: Share Links tab → POST /api/shares → Link opened → GET /api/shared/<token>
+
+// STEP 14a: List share links (with their tokens, so they can be copied again)
+app.get('/api/shares', audit('share.list', { scoped: false }), requireAdmin, async (req, res) => {
+    try {
+        res.json(await listShareLinks());
+    } catch (storeError) {
+        console.error('Failed to read share links:', storeError);
+        res.status(500).json({ error: 'Failed to read share links.' });
+    }
+});
+
+// STEP 14b: Create a link for the selected profile
+// Body: { mode: snapshot|live, team, source, since, until, expiresInDays }
+app.post('/api/shares', audit('share.create'), requireAdmin, requireConfig, async (req, res) => {
+    const { fields, error } = parseShareInput(req.body || {});
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    let metrics = null;
+    try {
+        // Snapshots are taken now; live links only check that the metrics can be loaded
+        ({ metrics } = await loadMetrics(req.profile, fields));
+        res.locals.githubStatus = fields.source === 'live' ? 200 : null;
+    } catch (shareError) {
+        return sendGitHubError(res, shareError, 'Failed to load the metrics to share.');
+    }
+
+    try {
+        const link = await createShareLink(req.profile, describeTarget(req.profile), fields, req.user.username, metrics);
+        console.log(`Share link ${link.id} (${link.mode}) created by ${req.user.username}; expires ${link.expiresAt}.`);
+        res.status(201).json(link);
+    } catch (storeError) {
+        console.error('Failed to save share link:', storeError);
+        res.status(500).json({ error: 'Failed to save the share link.' });
+    }
+});
+
+// STEP 14c: Revoke a link (its snapshot is deleted with it)
+app.delete('/api/shares/:id', audit('share.revoke'), requireAdmin, async (req, res) => {
+    try {
+        if (!(await revokeShareLink(req.params.id))) {
+            return res.status(404).json({ error: 'Share link not found.' });
+        }
+        res.status(204).end();
+    } catch (storeError) {
+        console.error('Failed to revoke share link:', storeError);
+        res.status(500).json({ error: 'Failed to revoke the share link.' });
+    }
+});
+
+// Metrics of a live link. Anyone holding the token can open it, so it never calls GitHub,
+// writes history or evaluates alerts: it reads the stored history, which every live load
+// (the dashboard, scheduled reports, Prometheus scrapes) keeps up to date. Links on the live
+// window show its last LIVE_WINDOW_DAYS days, as GitHub would.
+const LIVE_WINDOW_DAYS = 28;
 
-        // STEP 3h: Handle timeout errors
-        if (error.name === 'AbortError') {
-            console.error('Proxy fetch timeout: GitHub API request took too long (5s limit).');
-            return res.status(504).json({ error: 'Gateway Timeout: Request to GitHub API timed out.' });
+const loadSharedMetrics = async (profile, link) => {
+    let since = link.since;
+    if (!since && link.source === 'live') {
+        since = new Date(Date.now() - LIVE_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    }
+    const metrics = await readHistory(historyKey(profile, link.team), { since, until: link.until });
+    return { metrics, ...validateMetrics(metrics, { since, until: link.until }) };
+};
+
+// STEP 14d: Open a link (no sign-in): { share, metrics, warnings }
+// Failures are kept vague so the response never reveals the profile
+app.get('/api/shared/:token', audit('share.open'), async (req, res) => {
+    res.locals.auditProfile = null;  // Not the selected profile: viewers of links have none
+    try {
+        const link = await resolveShareToken(req.params.token);
+        if (!link) {
+            return res.status(404).json({ error: 'This share link is invalid, expired or revoked.' });
         }
+        res.locals.auditProfile = getProfile(link.profileId) || null;
+        res.locals.auditOrg = link.target;
+        res.locals.auditDetails = { id: link.id, mode: link.mode, team: link.team || undefined };
+
+        let loaded;
+        if (link.mode === 'snapshot') {
+            const metrics = await readSnapshot(link);
+            loaded = { metrics, ...validateMetrics(metrics, link) };
+        } else {
+            const profile = getProfile(link.profileId);
+            if (!profile || !hasCredentials(profile) || !isTargetConfigured(profile)) {
+                return res.status(410).json({ error: 'The metrics behind this share link are no longer available.' });
+            }
+            loaded = await loadSharedMetrics(profile, link);
+        }
+        res.set('Cache-Control', 'private, max-age=60');
+        res.json({ share: toPublicShare(link), metrics: loaded.metrics, warnings: loaded.warnings });
+    } catch (shareError) {
+        console.error('Failed to open share link:', shareError.message);
+        res.locals.auditError = shareError.message;
+        res.status(502).json({ error: 'Could not load the shared metrics. Try again later.' });
+    }
+});
+
+// ============================================================================
+// STEP 15: Audit Log Endpoint - Who Changed the Configuration and Read the Metrics
+// ============================================================================
+// Query: ?since=&until= (YYYY-MM-DD) &user= &action= (e.g. metrics.export or metrics) &outcome=
+//        &org= &ip= &limit= (default 100) &offset= &format=json|csv
+// Returns { entries (newest first), total, limit, offset }, or every matching entry as a CSV
+// download; admins only (see lib/auditLog.js for what is recorded)
+// Timeline: Admin opens the Audit Log tab → GET /api/audit → Table of events
+app.get('/api/audit', audit('audit.read', { scoped: false }), requireAdmin, async (req, res) => {
+    const format = req.query.format || 'json';
+    if (!['json', 'csv'].includes(format)) {
+        return res.status(400).json({ error: '`format` must be one of: json, csv.' });
+    }
+    const { filters, error } = parseAuditQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
 
-        // STEP 3i: Handle other network/fetch errors
-        console.error('Proxy fetch error:', error);
+    try {
+        if (format === 'csv') {
+            const { entries } = await queryAuditLog({ ...filters, limit: Infinity, offset: 0 });
+            const rows = entries.map(entry => ({ ...entry, details: JSON.stringify(entry.details) }));
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="copilot-audit-${filters.since || 'start'}-to-${filters.until || 'latest'}.csv"`);
+            return res.send(toCsv(rows));
+        }
+        const { entries, total } = await queryAuditLog(filters);
+        res.json({ entries, total, limit: filters.limit, offset: filters.offset });
+    } catch (storeError) {
+        console.error('Failed to read the audit log:', storeError);
+        res.status(500).json({ error: 'Failed to read the audit log.' });
     }
 });
 
 // ============================================================================
-// STEP 4: Serve React Frontend Static Files
+// STEP 16: Import Endpoint - Validate a Saved Metrics File (Offline Mode)
+// ============================================================================
+// Body: the JSON array saved from the dashboard ("Save metrics file") or from /api/copilot-metrics
+// Needs no token or profile: the file is validated (files whose values don't match the metrics
+// schema are refused) and returned sorted with its data-quality warnings, nothing is stored
+// Timeline: User opens a file in the configuration form → POST /api/import → Dashboard renders it
+app.post('/api/import', (req, res) => {
+    const { metrics, summary, warnings, error } = parseImportPayload(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    console.log(`Imported metrics file: ${summary.days} days (${summary.since} to ${summary.until})`);
+    res.json({ metrics, summary, warnings });
+});
+
+// Answer malformed or oversized JSON bodies with a JSON error instead of Express's HTML page
+app.use('/api', (err, req, res, next) => {
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ error: 'The request body is too large.' });
+    }
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'The request body is not valid JSON.' });
+    }
+    next(err);
+});
+
+// ============================================================================
+// STEP 17: Demo Mode - Bundled Mock GitHub API
+// ============================================================================
+// Generated metrics, teams and seats for trying the dashboard without an organization
+// or token, plus error scenarios (see lib/mockGitHub.js). "Use Demo Data" in the
+// configuration form points the profile here; both only exist with DEMO_MODE=true
+// Timeline: POST /api/config { demo: true } → GitHub client → /mock-github/* → This router
+if (DEMO_ENABLED) {
+    app.use('/mock-github', createMockGitHub());
+}
+
+// ============================================================================
+// STEP 18: Serve React Frontend Static Files
 // ============================================================================
 // Serve the built React application from the client/build directory
 app.use(express.static(path.join(__dirname, 'client/build')));
 
 // ============================================================================
-// STEP 5: Handle Client-Side Routing (SPA Support)
+// STEP 19: Handle Client-Side Routing (SPA Support)
 // ============================================================================
 // For any non-API routes, serve the React app's index.html
 // This enables client-side routing to work properly
@@ -136,8 +1238,61 @@ app.get('*', (req, res, next) => {
 });
 
 // ============================================================================
-// STEP 6: Start the Express Server
+// STEP 20: Start the Express Server
 // ============================================================================
-app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+// ADMIN_USERNAME / ADMIN_PASSWORD create the first admin on startup (skipped once any user exists);
+// without them the first visitor is asked to create one in the browser
+const bootstrapAdmin = async () => {
+    if (!process.env.ADMIN_USERNAME || !process.env.ADMIN_PASSWORD) return;
+
+    const { fields, error } = parseUserInput({
+        username: process.env.ADMIN_USERNAME, password: process.env.ADMIN_PASSWORD, role: 'admin'
+    });
+    if (error) {
+        console.error(`Ignoring ADMIN_USERNAME/ADMIN_PASSWORD: ${error}`);
+        return;
+    }
+    const { user } = await createFirstAdmin(fields);
+    if (user) {
+        console.log(`Admin "${user.username}" created from ADMIN_USERNAME/ADMIN_PASSWORD.`);
+    }
+};
+
+// Restore saved profiles (CREDENTIALS_KEY / CREDENTIALS_KEY_FILE), then apply GITHUB_TOKEN or GITHUB_APP_*
+// to the default profile; the token check result is only logged so the server still starts
+const bootstrapProfiles = async () => {
+    if (isEncryptionConfigured()) {
+        console.log(`Loaded ${await loadSavedProfiles()} saved connection profile(s).`);
+    } else {
+        console.log('No CREDENTIALS_KEY set: connection profiles are kept in memory only.');
+    }
+
+    const envInput = profileInputFromEnv();
+    if (!envInput) return;
+    if (envInput.error) {
+        console.error(`Ignoring GITHUB_* profile configuration: ${envInput.error}`);
+        return;
+    }
+    const profile = getProfile(DEFAULT_PROFILE_ID)
+        ? updateProfile(DEFAULT_PROFILE_ID, envInput.fields)
+        : createProfile(envInput.fields, DEFAULT_PROFILE_ID);
+    console.log(`Default profile configured from environment. ${describeTarget(profile)}`);
+
+    const check = await checkCredentials(profile);
+    check.problems.concat(check.warnings).forEach(message => console.warn(`Token check: ${message}`));
+};
+
+const startServer = async () => {
+    await bootstrapAdmin().catch(error => console.error('Failed to create the admin user:', error));
+    await bootstrapProfiles().catch(error => console.error('Failed to load connection profiles:', error));
+    // REPORT_SCHEDULE: scheduled digests cover every profile that can fetch metrics
+    startReportScheduler({
+        getProfiles: configuredProfiles,
+        fetchMetrics: async profile => (await fetchMetricsData(profile, '', null)).metrics,
+    });
+    app.listen(PORT, () => {
+        console.log(`Server running on port ${PORT}`);
+    });
+};
+
+startServer();
\ No newline at end of file
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const CIPHER_MODULE = require.resolve('../lib/credentialCipher');
+
+// Load the module with the given CREDENTIALS_KEY (it reads the key once, when required)
+const loadCipher = (key) => {
+    delete require.cache[CIPHER_MODULE];
+    if (key === undefined) {
+        delete process.env.CREDENTIALS_KEY;
+    } else {
+        process.env.CREDENTIALS_KEY = key;
+    }
+    delete process.env.CREDENTIALS_KEY_FILE;
+    return require(CIPHER_MODULE);
+};
+
+// Flip one bit of a base64 field
+const flipBit = (value) => {
+    const bytes = Buffer.from(value, 'base64');
+    bytes[0] ^= 1;
+    return bytes.toString('base64');
+};
+
+test('without a key encryption is not configured', () => {
+    assert.strictEqual(loadCipher(undefined).isEncryptionConfigured(), false);
+});
+
+test('a secret survives the round trip and is not stored in the clear', () => {
+    const { isEncryptionConfigured, encryptSecret, decryptSecret } = loadCipher('test-key');
+    assert.strictEqual(isEncryptionConfigured(), true);
+
+    const box = encryptSecret('ghp_example-token');
+    assert.deepStrictEqual(Object.keys(box).sort(), ['data', 'iv', 'tag']);
+    assert.strictEqual(Buffer.from(box.iv, 'base64').length, 12);
+    assert.ok(!JSON.stringify(box).includes('ghp_example-token'));
+    assert.strictEqual(decryptSecret(box), 'ghp_example-token');
+});
+
+test('every encryption uses a fresh IV', () => {
+    const { encryptSecret } = loadCipher('test-key');
+    const [first, second] = [encryptSecret('same'), encryptSecret('same')];
+    assert.notStrictEqual(first.iv, second.iv);
+    assert.notStrictEqual(first.data, second.data);
+});
+
+test('tampered data, tag or IV is rejected', () => {
+    const { encryptSecret, decryptSecret } = loadCipher('test-key');
+    const box = encryptSecret('ghp_example-token');
+    ['data', 'tag', 'iv'].forEach(field => {
+        assert.throws(() => decryptSecret({ ...box, [field]: flipBit(box[field]) }), field);
+    });
+});
+
+test('a different key cannot decrypt', () => {
+    const box = loadCipher('test-key').encryptSecret('ghp_example-token');
+    assert.throws(() => loadCipher('another-key').decryptSecret(box));
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCron, cronMatches } = require('../lib/cron');
+
+const schedule = (expression) => parseCron(expression).schedule;
+
+// 2025-06-02 is a Monday, 2025-06-03 a Tuesday (local time, as the scheduler uses)
+const monday = new Date(2025, 5, 2, 9, 0);
+const tuesday = new Date(2025, 5, 3, 9, 0);
+
+test('a day-of-month field starting with * leaves the day of week in charge', () => {
+    assert.strictEqual(cronMatches(schedule('0 9 */1 * mon'), monday), true);
+    assert.strictEqual(cronMatches(schedule('0 9 */1 * mon'), tuesday), false);
+    assert.strictEqual(cronMatches(schedule('0 9 * * mon'), tuesday), false);
+});
+
+test('a day-of-week field starting with * leaves the day of month in charge', () => {
+    assert.strictEqual(cronMatches(schedule('0 9 2 * */1'), monday), true);
+    assert.strictEqual(cronMatches(schedule('0 9 2 * */1'), tuesday), false);
+});
+
+test('restricted day of month and day of week match either one', () => {
+    assert.strictEqual(cronMatches(schedule('0 9 3 * mon'), monday), true);
+    assert.strictEqual(cronMatches(schedule('0 9 3 * mon'), tuesday), true);
+    assert.strictEqual(cronMatches(schedule('0 9 4 * fri'), tuesday), false);
+});
@@ -0,0 +1,85 @@
+// Runs lib/githubClient.js against the mock GitHub API (lib/mockGitHub.js) on a local port.
+// Short timeouts and a single retry keep the failure scenarios fast.
+process.env.GITHUB_TIMEOUT_MS = '200';
+process.env.GITHUB_MAX_RETRIES = '1';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { createMockGitHub } = require('../lib/mockGitHub');
+const { GitHubApiError, githubGet, githubGetAll } = require('../lib/githubClient');
+
+let server;
+let apiBaseUrl;
+
+test.before(() => new Promise(resolve => {
+    const app = express();
+    app.use(createMockGitHub({ delayMs: 50, timeoutDelayMs: 1000 }));
+    server = app.listen(0, '127.0.0.1', () => {
+        apiBaseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+    });
+}));
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+const profile = (token = 'demo') => ({ token, apiBaseUrl });
+
+// Resolves with the GitHubApiError a request is rejected with
+const failure = async (promise) => {
+    await assert.rejects(promise, GitHubApiError);
+    return promise.catch(error => error);
+};
+
+test('metrics are served and cached', async () => {
+    const first = await githubGet(profile(), '/orgs/acme/copilot/metrics');
+    assert.strictEqual(first.data.length, 28);
+    assert.strictEqual(first.fromCache, false);
+    const second = await githubGet(profile(), '/orgs/acme/copilot/metrics');
+    assert.strictEqual(second.fromCache, true);
+});
+
+test('Link pagination collects every page', async () => {
+    const seats = await githubGetAll(profile(), '/orgs/acme/copilot/billing/seats', body => body.seats);
+    assert.strictEqual(seats.length, 120);
+});
+
+test('a bad token is a 401', async () => {
+    const error = await failure(githubGet(profile('bad'), '/orgs/acme/copilot/metrics'));
+    assert.strictEqual(error.status, 401);
+});
+
+test('403, 404 and 422 keep GitHub\'s status and body', async () => {
+    const cases = { 'acme-forbidden': 403, 'acme-missing': 404, 'acme-metrics-disabled': 422 };
+    for (const [org, status] of Object.entries(cases)) {
+        const error = await failure(githubGet(profile(), `/orgs/${org}/copilot/metrics`));
+        assert.strictEqual(error.status, status);
+        assert.strictEqual(error.message, `GitHub API responded with ${status}.`);
+        assert.ok(JSON.parse(error.details).message);
+        assert.strictEqual(error.retryAfter, null);
+    }
+});
+
+test('a primary rate limit an hour away is reported, not waited for', async () => {
+    const error = await failure(githubGet(profile(), '/orgs/acme-rate-limited/copilot/metrics'));
+    assert.strictEqual(error.status, 403);
+    assert.strictEqual(error.message, 'GitHub API rate limit exceeded. Try again later.');
+    assert.strictEqual(error.rateLimit.remaining, 0);
+    assert.ok(error.retryAfter > 3500 && error.retryAfter <= 3601);
+});
+
+test('a slow answer within the timeout still succeeds', async () => {
+    const { data } = await githubGet(profile(), '/orgs/acme-slow/copilot/metrics');
+    assert.strictEqual(data.length, 28);
+});
+
+test('a request that outlasts the timeout is a 504 after the retries', async () => {
+    const started = Date.now();
+    const error = await failure(githubGet(profile(), '/orgs/acme-timeout/copilot/metrics'));
+    assert.strictEqual(error.status, 504);
+    assert.match(error.message, /timed out \(0\.2s limit\)/);
+    assert.ok(Date.now() - started < 1000);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { comparePeriods, periodDeltas } = require('../client/src/shared/metrics');
+const { buildDigest } = require('../lib/digest');
+
+// `count` days of identical usage, ending on 2025-03-31
+const flatDays = (count) => Array.from({ length: count }, (_, i) => {
+    const date = new Date(Date.UTC(2025, 2, 31 - i)).toISOString().slice(0, 10);
+    return {
+        date,
+        total_active_users: 10,
+        total_engaged_users: 8,
+        copilot_ide_code_completions: {
+            total_engaged_users: 8,
+            editors: [{
+                name: 'vscode',
+                models: [{
+                    name: 'default',
+                    languages: [{ name: 'python', total_code_lines_suggested: 100, total_code_lines_accepted: 30 }],
+                }],
+            }],
+        },
+    };
+}).reverse();
+
+test('a fully covered previous period is compared', () => {
+    const comparison = comparePeriods(flatDays(56), 28);
+    assert.ok(comparison.previous);
+    assert.strictEqual(comparison.changes.total_lines_suggested, 0);
+    assert.strictEqual(comparison.changes.acceptance_rate, 0);
+});
+
+test('a partly covered previous period is not compared', () => {
+    const comparison = comparePeriods(flatDays(30), 28);
+    assert.strictEqual(comparison.previous, null);
+    assert.strictEqual(comparison.changes.total_lines_suggested, null);
+    assert.strictEqual(comparison.changes.acceptance_rate, null);
+});
+
+test('the weekly digest reports n/a for a partly covered previous week', () => {
+    const digest = buildDigest(flatDays(9), { target: 'Organization: acme' });
+    digest.headlines.forEach(headline => assert.strictEqual(headline.change, 'n/a'));
+});
+
+test('the cards show "needs history" for partly covered periods instead of a change', () => {
+    const metrics = flatDays(35);  // A full previous week, but only 7 days before the last 28
+    const periodChanges = { week: comparePeriods(metrics, 7), month: comparePeriods(metrics, 28) };
+    const [week, month] = periodDeltas(periodChanges, 'total_lines_suggested');
+    assert.strictEqual(week.value, 0);
+    assert.strictEqual(week.missing, null);
+    assert.strictEqual(month.value, null);
+    assert.match(month.missing, /Needs 56 days/);
+});
+
+test('the cards show no deltas and no hints without any data', () => {
+    const deltas = periodDeltas({ week: comparePeriods([], 7), month: comparePeriods([], 28) }, 'acceptance_rate');
+    deltas.forEach(delta => {
+        assert.strictEqual(delta.value, null);
+        assert.strictEqual(delta.missing, null);
+    });
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseImportPayload } = require('../lib/metricsImport');
+
+test('a well-formed file is sorted and returned with its warnings', () => {
+    const result = parseImportPayload([
+        { date: '2025-01-03', total_active_users: 12 },
+        { date: '2025-01-01', total_active_users: 2 },
+    ]);
+    assert.strictEqual(result.error, undefined);
+    assert.deepStrictEqual(result.metrics.map(day => day.date), ['2025-01-01', '2025-01-03']);
+    assert.deepStrictEqual(result.summary, { days: 2, since: '2025-01-01', until: '2025-01-03' });
+    assert.deepStrictEqual(result.warnings.map(warning => warning.code), ['missing_days', 'below_threshold']);
+});
+
+test('nested values that do not match the schema are refused', () => {
+    const result = parseImportPayload([{ date: '2025-01-01', copilot_ide_code_completions: { editors: [null] } }]);
+    assert.strictEqual(result.metrics, undefined);
+    assert.match(result.error, /copilot_ide_code_completions\.editors\[0\] should be an object/);
+});
+
+test('the error quotes the first few problems and counts the rest', () => {
+    const days = Array.from({ length: 5 }, (_, i) => ({
+        date: `2025-01-0${i + 1}`,
+        copilot_dotcom_chat: { models: [{ name: 42 }] },
+    }));
+    assert.match(parseImportPayload(days).error, /2025-01-03: copilot_dotcom_chat\.models\[0\]\.name should be a string \(and 2 more\)\.$/);
+});
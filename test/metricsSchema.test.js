@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateMetrics } = require('../lib/metricsSchema');
+
+const codes = (metrics, range) => validateMetrics(metrics, range).warnings.map(warning => warning.code);
+
+test('an empty payload is flagged with or without a range', () => {
+    assert.deepStrictEqual(codes([]), ['no_data']);
+    assert.deepStrictEqual(codes([], { since: '2025-01-01', until: '2025-01-05' }), ['no_data']);
+    assert.match(validateMetrics([], { since: '2025-01-01' }).warnings[0].message, /for 2025-01-01 to today/);
+});
+
+test('gaps inside the range are missing days', () => {
+    const { warnings } = validateMetrics(
+        [{ date: '2025-01-01', total_active_users: 9 }, { date: '2025-01-04', total_active_users: 9 }],
+        { since: '2025-01-01', until: '2025-01-05' }
+    );
+    assert.deepStrictEqual(warnings.map(warning => warning.code), ['missing_days']);
+    assert.deepStrictEqual(warnings[0].items, ['2025-01-02 to 2025-01-03', '2025-01-05']);
+    assert.strictEqual(warnings[0].count, 3);
+});
+
+test('complete data has no warnings', () => {
+    assert.deepStrictEqual(codes([{ date: '2025-01-01', total_active_users: 9 }]), []);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    SESSION_COOKIE, createSession, getSession, destroySession, updateUserSessions, revokeUserSessions, readSessionId,
+    isLoginBlocked, recordLoginFailure, clearLoginFailures
+} = require('../lib/sessions');
+
+const TWELVE_HOURS_MS = 12 * 60 * 60 * 1000;
+
+// A request whose Cookie header is `cookie`
+const requestWithCookie = (cookie) => ({ get: (name) => (name === 'Cookie' ? cookie : undefined) });
+
+test('a session is found by its id until it is destroyed', () => {
+    const id = createSession({ username: 'ada', role: 'admin' });
+    assert.match(id, /^[0-9a-f]{64}$/);
+    const { username, role } = getSession(id);
+    assert.deepStrictEqual({ username, role }, { username: 'ada', role: 'admin' });
+    destroySession(id);
+    assert.strictEqual(getSession(id), null);
+    assert.strictEqual(getSession(null), null);
+    assert.strictEqual(getSession('unknown'), null);
+});
+
+test('a session expires after the TTL without activity, and activity extends it', (t) => {
+    const start = Date.now();
+    t.mock.method(Date, 'now', () => start);
+    const id = createSession({ username: 'ada', role: 'admin' });
+
+    Date.now.mock.mockImplementation(() => start + TWELVE_HOURS_MS - 1000);
+    assert.ok(getSession(id), 'still valid just before the TTL');
+    Date.now.mock.mockImplementation(() => start + 2 * TWELVE_HOURS_MS - 2000);
+    assert.ok(getSession(id), 'the previous lookup extended it');
+    Date.now.mock.mockImplementation(() => start + 3 * TWELVE_HOURS_MS);
+    assert.strictEqual(getSession(id), null);
+});
+
+test('role changes apply to open sessions and deleting a user signs them out', () => {
+    const first = createSession({ username: 'bob', role: 'viewer' });
+    const second = createSession({ username: 'bob', role: 'viewer' });
+    updateUserSessions('bob', 'admin');
+    assert.strictEqual(getSession(first).role, 'admin');
+    assert.strictEqual(getSession(second).role, 'admin');
+    updateUserSessions('bob', null);
+    assert.strictEqual(getSession(first), null);
+    assert.strictEqual(getSession(second), null);
+});
+
+test('revoking a user\'s sessions keeps the excepted one and other users\' sessions', () => {
+    const current = createSession({ username: 'cy', role: 'viewer' });
+    const other = createSession({ username: 'cy', role: 'viewer' });
+    const someoneElse = createSession({ username: 'dee', role: 'viewer' });
+    revokeUserSessions('cy', current);
+    assert.ok(getSession(current));
+    assert.strictEqual(getSession(other), null);
+    assert.ok(getSession(someoneElse));
+    revokeUserSessions('cy');
+    assert.strictEqual(getSession(current), null);
+});
+
+test('the session id is read from the cookie header', () => {
+    assert.strictEqual(readSessionId(requestWithCookie(`theme=dark; ${SESSION_COOKIE}=abc%20def; other=1`)), 'abc def');
+    assert.strictEqual(readSessionId(requestWithCookie('theme=dark')), null);
+    assert.strictEqual(readSessionId(requestWithCookie(undefined)), null);
+});
+
+test('an address is blocked after ten failures until the window passes or it is cleared', (t) => {
+    const start = Date.now();
+    t.mock.method(Date, 'now', () => start);
+    for (let i = 0; i < 9; i++) recordLoginFailure('10.0.0.1');
+    assert.strictEqual(isLoginBlocked('10.0.0.1'), false);
+    recordLoginFailure('10.0.0.1');
+    assert.strictEqual(isLoginBlocked('10.0.0.1'), true);
+    assert.strictEqual(isLoginBlocked('10.0.0.2'), false);
+
+    Date.now.mock.mockImplementation(() => start + 15 * 60 * 1000 + 1);
+    assert.strictEqual(isLoginBlocked('10.0.0.1'), false);
+
+    for (let i = 0; i < 10; i++) recordLoginFailure('10.0.0.3');
+    clearLoginFailures('10.0.0.3');
+    assert.strictEqual(isLoginBlocked('10.0.0.3'), false);
+});
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Links and snapshots live under DATA_DIR, so point it at a scratch directory before loading the module
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'copilot-shares-'));
+process.env.SHARE_LINK_SECRET = 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    parseShareInput, createShareLink, listShareLinks, revokeShareLink, resolveShareToken, readSnapshot, toPublicShare
+} = require('../lib/shareLinks');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const profile = { id: 'default', token: 'ghp_secret', apiBaseUrl: 'https://github.example.com/api/v3' };
+const metrics = [{ date: '2025-01-01', total_active_users: 12 }];
+
+const newLink = (input = {}) => createShareLink(profile, 'Organization: acme', parseShareInput(input).fields, 'ada', metrics);
+
+test('share input is validated', () => {
+    assert.deepStrictEqual(parseShareInput({}).fields,
+        { mode: 'snapshot', team: null, source: 'live', since: null, until: null, expiresInDays: 30 });
+    assert.match(parseShareInput({ mode: 'edit' }).error, /Mode/);
+    assert.match(parseShareInput({ expiresInDays: 0 }).error, /1 to 365 days/);
+    assert.match(parseShareInput({ expiresInDays: 366 }).error, /1 to 365 days/);
+});
+
+test('a signed token opens its link and a snapshot keeps the metrics', async () => {
+    const link = await newLink();
+    assert.match(link.token, /^[\w-]+\.\d+\.[\w-]+$/);
+    const resolved = await resolveShareToken(link.token);
+    assert.strictEqual(resolved.id, link.id);
+    assert.deepStrictEqual(await readSnapshot(resolved), metrics);
+    assert.deepStrictEqual((await listShareLinks())[0].token, link.token);
+});
+
+test('tokens with a forged signature or a changed expiry are refused', async () => {
+    const link = await newLink();
+    const [id, expires, signature] = link.token.split('.');
+    const forged = `${signature.startsWith('A') ? 'B' : 'A'}${signature.slice(1)}`;
+    assert.strictEqual(await resolveShareToken(`${id}.${expires}.${forged}`), null);
+    assert.strictEqual(await resolveShareToken(`${id}.${Number(expires) + 86400}.${signature}`), null);
+    assert.strictEqual(await resolveShareToken(`${id}.${expires}`), null);
+    assert.strictEqual(await resolveShareToken(''), null);
+    assert.strictEqual(await resolveShareToken(undefined), null);
+});
+
+test('a token signed with another secret is refused', async () => {
+    const link = await newLink();
+    const [id, expires] = link.token.split('.');
+    const signature = crypto.createHmac('sha256', 'other-secret').update(`${id}.${expires}`).digest('base64url');
+    assert.strictEqual(await resolveShareToken(`${id}.${expires}.${signature}`), null);
+});
+
+test('an expired link is refused', async (t) => {
+    const link = await newLink({ expiresInDays: 1 });
+    assert.ok(await resolveShareToken(link.token));
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 24 * 60 * 60 * 1000 + 1000);
+    assert.strictEqual(await resolveShareToken(link.token), null);
+    assert.strictEqual((await listShareLinks()).find(item => item.id === link.id).expired, true);
+});
+
+test('a revoked link is refused and its snapshot deleted', async () => {
+    const link = await newLink();
+    assert.strictEqual(await revokeShareLink(link.id), true);
+    assert.strictEqual(await resolveShareToken(link.token), null);
+    assert.deepStrictEqual(await readSnapshot(link), []);
+    assert.strictEqual(await revokeShareLink(link.id), false);
+});
+
+test('viewers never see the profile or its credentials', async () => {
+    const link = await newLink({ mode: 'live', team: 'web' });
+    const shared = JSON.stringify(toPublicShare(link));
+    assert.ok(!shared.includes('ghp_secret'));
+    assert.ok(!shared.includes('github.example.com'));
+    assert.ok(!shared.includes('default'));
+    assert.strictEqual(toPublicShare(link).team, 'web');
+});
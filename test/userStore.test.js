@@ -0,0 +1,62 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The store writes DATA_DIR/users.json, so point it at a scratch directory before loading it
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'copilot-users-'));
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    parseUserInput, listUsers, findUser, createUser, createFirstAdmin, updateUser, deleteUser, authenticateUser
+} = require('../lib/userStore');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('user input is validated', () => {
+    assert.deepStrictEqual(parseUserInput({ username: ' Ada ', password: 'longenough' }).fields,
+        { username: 'ada', password: 'longenough', role: 'viewer' });
+    assert.match(parseUserInput({ username: 'ada' }).error, /Password is required/);
+    assert.match(parseUserInput({ username: 'ada', password: 'short' }).error, /at least 8/);
+    assert.match(parseUserInput({ username: 'a b', password: 'longenough' }).error, /Username/);
+    assert.match(parseUserInput({ username: 'ada', password: 'longenough', role: 'root' }).error, /Role/);
+    assert.deepStrictEqual(parseUserInput({}, { username: 'ada', role: 'admin' }).fields,
+        { username: 'ada', password: null, role: 'admin' });
+});
+
+test('passwords are stored as salted scrypt hashes and verified', async () => {
+    assert.ok((await createFirstAdmin({ username: 'ada', password: 'correct-horse' })).user);
+    assert.match((await createFirstAdmin({ username: 'eve', password: 'correct-horse' })).error, /already been completed/);
+
+    const stored = await findUser('ada');
+    assert.match(stored.salt, /^[0-9a-f]{32}$/);
+    assert.match(stored.passwordHash, /^[0-9a-f]{128}$/);
+    assert.ok(!JSON.stringify(stored).includes('correct-horse'));
+    assert.deepStrictEqual(Object.keys((await listUsers())[0]).sort(), ['createdAt', 'role', 'updatedAt', 'username']);
+
+    assert.strictEqual((await authenticateUser('ADA ', 'correct-horse')).username, 'ada');
+    assert.strictEqual(await authenticateUser('ada', 'correct-horsE'), null);
+    assert.strictEqual(await authenticateUser('ada', ''), null);
+    assert.strictEqual(await authenticateUser('nobody', 'correct-horse'), null);
+});
+
+test('the same password gets a different salt per user', async () => {
+    await createUser({ username: 'bob', password: 'correct-horse', role: 'viewer' });
+    const [ada, bob] = [await findUser('ada'), await findUser('bob')];
+    assert.notStrictEqual(ada.salt, bob.salt);
+    assert.notStrictEqual(ada.passwordHash, bob.passwordHash);
+    assert.match((await createUser({ username: 'bob', password: 'another-one', role: 'viewer' })).error, /already exists/);
+});
+
+test('a new password replaces the old one', async () => {
+    await updateUser('bob', { password: 'battery-staple', role: 'viewer' });
+    assert.strictEqual(await authenticateUser('bob', 'correct-horse'), null);
+    assert.strictEqual((await authenticateUser('bob', 'battery-staple')).username, 'bob');
+});
+
+test('the last admin can be neither demoted nor deleted', async () => {
+    assert.strictEqual((await updateUser('ada', { password: null, role: 'viewer' })).status, 400);
+    assert.strictEqual((await deleteUser('ada')).status, 400);
+    assert.strictEqual((await updateUser('nobody', { password: null, role: 'viewer' })).status, 404);
+    assert.deepStrictEqual(await deleteUser('bob'), { deleted: true });
+});